@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import logger from './services/Logger.js';
+import { config } from './config.js';
+
+const USAGE = `Usage: node src/cli.js [options]
+
+Runs the meter without a window, open the printed URL in a browser.
+
+Options:
+  -p, --port <port>            Web server port (default: first free port from 8990)
+      --host <address>         Address to bind the web server to (default: all interfaces)
+  -d, --device <name|index>    Capture interface (default: saved interface, then auto detection)
+      --list-devices           List the capture interfaces and exit
+      --mirror-port <port>     Receive mirrored traffic on this TCP port instead of capturing
+      --mirror-host <address>  Address to bind the mirror listener to (default: 0.0.0.0)
+      --replay <file>          Replay a .pcap/.pcapng capture instead of capturing
+      --play-recording <file>  Play a .bpsr stream recording instead of capturing
+      --replay-speed <n>       Replay speed multiplier, 0 is as fast as possible (default: 1)
+      --record <file>          Record the game stream to this file
+      --data-dir <dir>         Directory for settings, logs, fight history and the user cache (default: .)
+      --log-level <level>      error, warn, info, verbose or debug (default: info)
+  -h, --help                   Show this help
+`;
+
+const parseOptions = () => {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', short: 'p' },
+            host: { type: 'string' },
+            device: { type: 'string', short: 'd' },
+            'list-devices': { type: 'boolean' },
+            'mirror-port': { type: 'string' },
+            'mirror-host': { type: 'string' },
+            replay: { type: 'string' },
+            'play-recording': { type: 'string' },
+            'replay-speed': { type: 'string' },
+            record: { type: 'string' },
+            'data-dir': { type: 'string' },
+            'log-level': { type: 'string' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+
+    const parsePort = (name) => {
+        if (values[name] === undefined) return undefined;
+        const port = Number(values[name]);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            throw new Error(`Invalid --${name}: ${values[name]}`);
+        }
+        return port;
+    };
+
+    const replaySpeed = values['replay-speed'] !== undefined ? Number(values['replay-speed']) : 1;
+    if (!Number.isFinite(replaySpeed) || replaySpeed < 0) {
+        throw new Error(`Invalid --replay-speed: ${values['replay-speed']}`);
+    }
+    if (values['log-level'] !== undefined && logger.levels[values['log-level']] === undefined) {
+        throw new Error(`Invalid --log-level: ${values['log-level']}`);
+    }
+
+    return {
+        help: values.help,
+        listDevices: values['list-devices'],
+        dataDir: values['data-dir'],
+        logLevel: values['log-level'],
+        server: {
+            port: parsePort('port'),
+            host: values.host,
+            captureDevice: values.device,
+            mirrorPort: parsePort('mirror-port'),
+            mirrorHost: values['mirror-host'],
+            replayFile: values.replay,
+            playRecording: values['play-recording'],
+            replaySpeed,
+            recordFile: values.record,
+        },
+    };
+};
+
+const main = async () => {
+    let options;
+    try {
+        options = parseOptions();
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (options.listDevices) {
+        const { default: cap } = await import('cap');
+        cap.deviceList().forEach((device, index) => {
+            const addresses = (device.addresses || []).map((address) => address.addr).join(', ');
+            console.log(`${index}: ${device.name} - ${device.description || 'no description'} [${addresses}]`);
+        });
+        return;
+    }
+
+    if (options.logLevel) {
+        logger.level = options.logLevel;
+    }
+    if (options.dataDir) {
+        config.DATA_DIR = path.resolve(options.dataDir);
+        fs.mkdirSync(config.DATA_DIR, { recursive: true });
+        options.server.settingsPath = config.getDataPath('settings.json');
+    }
+
+    // Imported lazily so --help and argument errors work without loading the capture module
+    const { default: server } = await import('./server.js');
+    try {
+        const url = await server.start(options.server);
+        logger.info(`Running headless, open ${url} in a browser`);
+    } catch (error) {
+        logger.error(`Failed to start server: ${error.message}`);
+        process.exit(1);
+    }
+};
+
+main();
@@ -1,13 +1,35 @@
+import path from 'path';
+import { DEFAULT_TARGET_FILTER } from './models/TargetFilter.js';
+
 class Config {
     constructor() {
         this.VERSION = '1.0.0';
         this.IS_PAUSED = false;
+        // Where logs, fight history and the user cache are stored, relative paths resolve from the working directory
+        this.DATA_DIR = '.';
         this.GLOBAL_SETTINGS = {
             autoClearOnServerChange: true,
             autoClearOnTimeout: false,
-            onlyRecordEliteDummy: false,
+            removePlayersOnLeave: false,
+            // Only show the local player, its party and partyWhitelist. partyOnlyHistory leaves the other
+            // players out of the fight history, independently of partyOnly
+            partyOnly: false,
+            partyOnlyHistory: false,
+            partyWhitelist: [],
+            // Which enemies damage is recorded against, see models/TargetFilter.js
+            targetFilter: { ...DEFAULT_TARGET_FILTER },
+            captureDevice: null,
         };
     }
+
+    /**
+     * Resolves a path inside the data directory.
+     * @param {...string} segments
+     * @returns {string}
+     */
+    getDataPath(...segments) {
+        return path.join(this.DATA_DIR, ...segments);
+    }
 }
 
 export const config = new Config();
@@ -0,0 +1,168 @@
+import skill_names from '../tables/skill_names.json' with { type: 'json' };
+
+const skillConfig = skill_names.skill_names;
+
+/**
+ * Uptime, stacks and applications of the buffs and debuffs on one entity.
+ * Several instances of the same buff (e.g. from two casters) count as one for uptime, their stacks add up.
+ * An instance ends when it is removed, when its duration runs out or when the entity leaves.
+ */
+export class BuffData {
+    constructor() {
+        this.buffs = new Map(); // buffId -> stats
+        this.instances = new Map(); // buffUuid -> { buffId, stacks, sourceUid, expiresAt }
+        this.startTime = Date.now();
+    }
+
+    _getStats(buffId) {
+        if (!this.buffs.has(buffId)) {
+            this.buffs.set(buffId, {
+                buffId,
+                applications: 0,
+                activeInstances: 0,
+                stacks: 0,
+                maxStacks: 0,
+                uptime: 0,
+                stackTime: 0,
+                lastChange: 0,
+                sources: new Set(),
+            });
+        }
+        return this.buffs.get(buffId);
+    }
+
+    // Accumulates the time since the last change before the active instances or stacks change
+    _advance(stats, now) {
+        if (stats.activeInstances > 0) {
+            const elapsed = Math.max(0, now - stats.lastChange);
+            stats.uptime += elapsed;
+            stats.stackTime += elapsed * stats.stacks;
+        }
+        stats.lastChange = now;
+    }
+
+    // Ends the instances whose duration ran out before now, in the order they expired, at the time they expired
+    _expire(now) {
+        const expired = Array.from(this.instances)
+            .filter(([, instance]) => instance.expiresAt && instance.expiresAt <= now)
+            .sort(([, a], [, b]) => a.expiresAt - b.expiresAt);
+        for (const [buffUuid, instance] of expired) {
+            this._end(buffUuid, instance.expiresAt);
+        }
+    }
+
+    _end(buffUuid, now) {
+        const instance = this.instances.get(buffUuid);
+        if (!instance) return;
+        this.instances.delete(buffUuid);
+        const stats = this._getStats(instance.buffId);
+        this._advance(stats, now);
+        stats.activeInstances--;
+        stats.stacks -= instance.stacks;
+    }
+
+    /**
+     * Adds a buff instance, or updates the stacks of one that is already active.
+     * @param {number} buffUuid Instance id of the buff.
+     * @param {number} buffId Buff table id.
+     * @param {number} stacks
+     * @param {number} sourceUid UID of the caster, 0 if unknown.
+     * @param {number} [duration] Duration in milliseconds from now, 0 if permanent.
+     * @param {number} [now]
+     */
+    apply(buffUuid, buffId, stacks, sourceUid, duration = 0, now = Date.now()) {
+        this._expire(now);
+        stacks = Math.max(1, stacks || 1);
+        const expiresAt = duration > 0 ? now + duration : 0;
+        const instance = this.instances.get(buffUuid);
+        if (instance) {
+            const stats = this._getStats(instance.buffId);
+            this._advance(stats, now);
+            stats.stacks += stacks - instance.stacks;
+            stats.maxStacks = Math.max(stats.maxStacks, stats.stacks);
+            instance.stacks = stacks;
+            instance.expiresAt = expiresAt;
+            return;
+        }
+
+        const stats = this._getStats(buffId);
+        this._advance(stats, now);
+        this.instances.set(buffUuid, { buffId, stacks, sourceUid, expiresAt });
+        stats.applications++;
+        stats.activeInstances++;
+        stats.stacks += stacks;
+        stats.maxStacks = Math.max(stats.maxStacks, stats.stacks);
+        if (sourceUid) {
+            stats.sources.add(sourceUid);
+        }
+    }
+
+    /**
+     * Removes a buff instance.
+     * @param {number} buffUuid
+     * @param {number} [now]
+     */
+    remove(buffUuid, now = Date.now()) {
+        this._expire(now);
+        this._end(buffUuid, now);
+    }
+
+    /**
+     * Ends every active instance, e.g. when the entity leaves range and no removals follow.
+     * @param {number} [now]
+     */
+    removeAll(now = Date.now()) {
+        this._expire(now);
+        for (const buffUuid of Array.from(this.instances.keys())) {
+            this._end(buffUuid, now);
+        }
+    }
+
+    /**
+     * Starts a new tracking window. Buffs that are still active carry over from now on.
+     * @param {number} [now]
+     */
+    reset(now = Date.now()) {
+        this._expire(now);
+        this.buffs.clear();
+        this.startTime = now;
+        for (const instance of this.instances.values()) {
+            const stats = this._getStats(instance.buffId);
+            stats.activeInstances++;
+            stats.stacks += instance.stacks;
+            stats.maxStacks = Math.max(stats.maxStacks, stats.stacks);
+            stats.lastChange = now;
+            if (instance.sourceUid) {
+                stats.sources.add(instance.sourceUid);
+            }
+        }
+    }
+
+    /**
+     * @param {number} [now]
+     * @returns {Object<number, object>} Stats keyed by buff id, uptime in milliseconds.
+     */
+    getSummary(now = Date.now()) {
+        this._expire(now);
+        const duration = Math.max(0, now - this.startTime);
+        const summary = {};
+        for (const [buffId, stats] of this.buffs) {
+            const elapsed = stats.activeInstances > 0 ? Math.max(0, now - stats.lastChange) : 0;
+            const uptime = stats.uptime + elapsed;
+            const stackTime = stats.stackTime + elapsed * stats.stacks;
+            summary[buffId] = {
+                buffId,
+                name: skillConfig[buffId] ?? String(buffId),
+                applications: stats.applications,
+                uptime,
+                uptimeRate: duration > 0 ? Math.min(1, uptime / duration) : 0,
+                avgStacks: uptime > 0 ? stackTime / uptime : 0,
+                maxStacks: stats.maxStacks,
+                stacks: stats.stacks,
+                active: stats.activeInstances > 0,
+                sources: Array.from(stats.sources),
+            };
+        }
+        return summary;
+    }
+}
@@ -0,0 +1,46 @@
+/**
+ * Damage rolled up by element, for one player, the party or everything dealt to one target.
+ */
+export class ElementProfile {
+    constructor() {
+        this.elements = new Map(); // element label -> { element, total, count }
+    }
+
+    /**
+     * @param {string} element Element label, e.g. '🔥火'.
+     * @param {number} total
+     * @param {number} count Number of hits.
+     */
+    add(element, total, count) {
+        if (!this.elements.has(element)) {
+            this.elements.set(element, { element, total: 0, count: 0 });
+        }
+        const entry = this.elements.get(element);
+        entry.total += total;
+        entry.count += count;
+    }
+
+    /**
+     * Adds up another profile's summary, e.g. to build the party profile from the players'.
+     * @param {object[]} summary As returned by getSummary.
+     */
+    addSummary(summary) {
+        for (const entry of summary) {
+            this.add(entry.element, entry.total, entry.count);
+        }
+    }
+
+    /**
+     * @returns {object[]} Elements sorted by damage, with their share of the total.
+     */
+    getSummary() {
+        let total = 0;
+        for (const entry of this.elements.values()) {
+            total += entry.total;
+        }
+        return Array.from(this.elements.values(), (entry) => ({
+            ...entry,
+            share: total > 0 ? entry.total / total : 0,
+        })).sort((a, b) => b.total - a.total);
+    }
+}
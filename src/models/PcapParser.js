@@ -0,0 +1,188 @@
+const PCAP_MAGIC_US = 0xa1b2c3d4;
+const PCAP_MAGIC_NS = 0xa1b23c4d;
+const PCAPNG_SHB = 0x0a0d0d0a;
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+// Largest frame a pcap record may hold, tcpdump's default snaplen. A larger length means a corrupt stream
+const MAX_CAPTURE_LENGTH = 256 * 1024;
+
+const PcapngBlockType = {
+    InterfaceDescription: 0x00000001,
+    Packet: 0x00000002,
+    SimplePacket: 0x00000003,
+    EnhancedPacket: 0x00000006,
+};
+
+export const LinkType = {
+    NULL: 0,
+    ETHERNET: 1,
+    RAW: 101,
+    LOOP: 108,
+    LINUX_SLL: 113,
+    IPV4: 228,
+    IPV6: 229,
+    LINUX_SLL2: 276,
+};
+
+/**
+ * Incremental parser for libpcap (.pcap) and pcapng (.pcapng) captures.
+ * Chunks can be pushed as they arrive from a file or a socket, the format is detected from the first bytes.
+ */
+export class PcapParser {
+    constructor() {
+        this.buffer = Buffer.alloc(0);
+        this.format = null;
+        this.littleEndian = true;
+        this.linkType = LinkType.ETHERNET;
+        this.tsDivisor = 1000;
+        this.interfaces = [];
+        this.lastTimestamp = 0;
+    }
+
+    /**
+     * Appends data and parses every complete frame.
+     * @param {Buffer} chunk Newly read bytes.
+     * @returns {{timestamp: number, linkType: number, data: Buffer}[]} Parsed frames, timestamps in milliseconds.
+     */
+    push(chunk) {
+        this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+        const frames = [];
+
+        if (!this.format && !this._readFileHeader()) {
+            return frames;
+        }
+
+        while (true) {
+            const frame = this.format === 'pcapng' ? this._readPcapngBlock() : this._readPcapRecord();
+            if (frame === null) break;
+            if (frame) frames.push(frame);
+        }
+        return frames;
+    }
+
+    _readUInt32(offset) {
+        return this.littleEndian ? this.buffer.readUInt32LE(offset) : this.buffer.readUInt32BE(offset);
+    }
+
+    _readUInt16(offset) {
+        return this.littleEndian ? this.buffer.readUInt16LE(offset) : this.buffer.readUInt16BE(offset);
+    }
+
+    _readFileHeader() {
+        if (this.buffer.length < 4) return false;
+
+        const magic = this.buffer.readUInt32LE(0);
+        if (magic === PCAPNG_SHB) {
+            this.format = 'pcapng';
+            return true;
+        }
+
+        if (this.buffer.length < 24) return false;
+        const magicBE = this.buffer.readUInt32BE(0);
+        if (magic === PCAP_MAGIC_US || magic === PCAP_MAGIC_NS) {
+            this.littleEndian = true;
+        } else if (magicBE === PCAP_MAGIC_US || magicBE === PCAP_MAGIC_NS) {
+            this.littleEndian = false;
+        } else {
+            throw new Error(`Unknown capture file format (magic 0x${magic.toString(16)})`);
+        }
+        const isNano = (this.littleEndian ? magic : magicBE) === PCAP_MAGIC_NS;
+        this.tsDivisor = isNano ? 1000000 : 1000;
+        this.linkType = this._readUInt32(20) & 0x0fffffff;
+        this.format = 'pcap';
+        this.buffer = this.buffer.subarray(24);
+        return true;
+    }
+
+    _readPcapRecord() {
+        if (this.buffer.length < 16) return null;
+        const tsSec = this._readUInt32(0);
+        const tsFrac = this._readUInt32(4);
+        const capLen = this._readUInt32(8);
+        if (capLen > MAX_CAPTURE_LENGTH) {
+            throw new Error(`Corrupt pcap record length: ${capLen}`);
+        }
+        if (this.buffer.length < 16 + capLen) return null;
+
+        const data = Buffer.from(this.buffer.subarray(16, 16 + capLen));
+        this.buffer = this.buffer.subarray(16 + capLen);
+        this.lastTimestamp = tsSec * 1000 + tsFrac / this.tsDivisor;
+        return { timestamp: this.lastTimestamp, linkType: this.linkType, data };
+    }
+
+    _readPcapngBlock() {
+        if (this.buffer.length < 12) return null;
+
+        const rawType = this.buffer.readUInt32LE(0);
+        if (rawType === PCAPNG_SHB) {
+            const byteOrderMagic = this.buffer.readUInt32LE(8);
+            this.littleEndian = byteOrderMagic === PCAPNG_BYTE_ORDER_MAGIC;
+            this.interfaces = [];
+        }
+
+        const blockType = this._readUInt32(0);
+        const blockLength = this._readUInt32(4);
+        if (blockLength < 12 || blockLength % 4 !== 0) {
+            throw new Error(`Corrupt pcapng block length: ${blockLength}`);
+        }
+        if (this.buffer.length < blockLength) return null;
+
+        let frame;
+        switch (blockType) {
+            case PcapngBlockType.InterfaceDescription: {
+                this.interfaces.push({
+                    linkType: this._readUInt16(8),
+                    snapLen: this._readUInt32(12),
+                    tsResolution: this._readTsResolution(16, blockLength - 4),
+                });
+                break;
+            }
+            case PcapngBlockType.EnhancedPacket:
+            case PcapngBlockType.Packet: {
+                const interfaceId = blockType === PcapngBlockType.Packet ? this._readUInt16(8) : this._readUInt32(8);
+                const iface = this.interfaces[interfaceId];
+                const tsHigh = this._readUInt32(12);
+                const tsLow = this._readUInt32(16);
+                const capLen = this._readUInt32(20);
+                const resolution = iface ? iface.tsResolution : 1e-6;
+                this.lastTimestamp = (tsHigh * 0x100000000 + tsLow) * resolution * 1000;
+                frame = {
+                    timestamp: this.lastTimestamp,
+                    linkType: iface ? iface.linkType : LinkType.ETHERNET,
+                    data: Buffer.from(this.buffer.subarray(28, 28 + capLen)),
+                };
+                break;
+            }
+            case PcapngBlockType.SimplePacket: {
+                const iface = this.interfaces[0];
+                const origLen = this._readUInt32(8);
+                const capLen = Math.min(origLen, blockLength - 16, iface && iface.snapLen ? iface.snapLen : origLen);
+                frame = {
+                    timestamp: this.lastTimestamp,
+                    linkType: iface ? iface.linkType : LinkType.ETHERNET,
+                    data: Buffer.from(this.buffer.subarray(12, 12 + capLen)),
+                };
+                break;
+            }
+            default:
+                // Section header, statistics and other blocks carry no frames
+                break;
+        }
+
+        this.buffer = this.buffer.subarray(blockLength);
+        return frame;
+    }
+
+    _readTsResolution(offset, end) {
+        while (offset + 4 <= end) {
+            const code = this._readUInt16(offset);
+            const length = this._readUInt16(offset + 2);
+            if (code === 0) break;
+            if (code === 9 && length >= 1) {
+                const value = this.buffer[offset + 4];
+                return value & 0x80 ? Math.pow(2, -(value & 0x7f)) : Math.pow(10, -value);
+            }
+            offset += 4 + Math.ceil(length / 4) * 4;
+        }
+        return 1e-6;
+    }
+}
@@ -0,0 +1,111 @@
+// Route table parsers and adapter ranking, kept out of NetInterfaceService so they load without cap
+
+const VIRTUAL_KEYWORDS = [
+    'zerotier',
+    'vmware',
+    'hyper-v',
+    'virtual',
+    'loopback',
+    'tap',
+    'bluetooth',
+    'wan miniport',
+    'docker',
+    'veth',
+    'virbr',
+    'vboxnet',
+    'utun',
+];
+
+/**
+ * Checks if a network adapter is virtual based on its name.
+ * @param {string} name The description or name of the network device.
+ * @returns {boolean} True if the device name indicates it's a virtual adapter.
+ */
+export function isVirtual(name) {
+    const lower = name.toLowerCase();
+    return VIRTUAL_KEYWORDS.some((keyword) => lower.includes(keyword));
+}
+
+/**
+ * Parses the content of /proc/net/route and returns the interface of the default route with the lowest metric.
+ * @param {string} content The content of /proc/net/route.
+ * @returns {string|undefined} The interface name or undefined.
+ */
+export function parseProcNetRoute(content) {
+    const routes = content
+        .split('\n')
+        .slice(1)
+        .map((line) => line.trim().split(/\s+/))
+        .filter((fields) => fields.length >= 8)
+        .map(([iface, destination, , flags, , , metric, mask]) => ({
+            iface,
+            destination,
+            mask,
+            flags: parseInt(flags, 16),
+            metric: parseInt(metric, 10),
+        }))
+        // RTF_UP
+        .filter((route) => route.destination === '00000000' && route.mask === '00000000' && route.flags & 0x1)
+        .sort((a, b) => a.metric - b.metric);
+
+    return routes[0]?.iface;
+}
+
+/**
+ * Parses the output of `ip route show default` and returns the default route with the lowest metric.
+ * @param {string} stdout The command output.
+ * @returns {{iface: string, src: string|undefined}|undefined} The interface name and source address, or undefined.
+ */
+export function parseIpRoute(stdout) {
+    const routes = stdout
+        .split('\n')
+        .map((line) => line.trim())
+        .filter((line) => line.startsWith('default'))
+        .map((line) => ({
+            iface: line.match(/\bdev\s+(\S+)/)?.[1],
+            src: line.match(/\bsrc\s+(\S+)/)?.[1],
+            metric: parseInt(line.match(/\bmetric\s+(\d+)/)?.[1] ?? '0', 10),
+        }))
+        .filter((route) => route.iface)
+        .sort((a, b) => a.metric - b.metric);
+
+    if (!routes.length) {
+        return undefined;
+    }
+    return { iface: routes[0].iface, src: routes[0].src };
+}
+
+/**
+ * Parses the output of `route -n get default` on macOS and returns the interface name.
+ * @param {string} stdout The command output.
+ * @returns {string|undefined} The interface name or undefined.
+ */
+export function parseMacRoute(stdout) {
+    return stdout.match(/^\s*interface:\s*(\S+)/m)?.[1];
+}
+
+/**
+ * Picks the most likely physical adapter when the route table lookup fails.
+ * Physical adapters are preferred over virtual ones (VIRTUAL_KEYWORDS), then adapters with an IPv4 address over IPv6-only ones.
+ * @param {Object} devices A map of network devices.
+ * @returns {number|undefined} The index of the best ranked device or undefined.
+ */
+export function findByRanking(devices) {
+    const ranked = Object.keys(devices)
+        .map((key) => {
+            const device = devices[key];
+            const addresses = (device.addresses || []).map((address) => address.addr || '');
+            const hasIPv4 = addresses.some((addr) => /^\d+\.\d+\.\d+\.\d+$/.test(addr) && !addr.startsWith('127.'));
+            const hasIPv6 = addresses.some((addr) => addr.includes(':') && addr !== '::1' && !/^fe80:/i.test(addr));
+            const virtual = isVirtual(device.description || device.name) || device.name === 'lo';
+            return {
+                index: parseInt(key, 10),
+                score: (virtual ? 0 : 4) + (hasIPv4 ? 2 : 0) + (hasIPv6 ? 1 : 0),
+                routable: hasIPv4 || hasIPv6,
+            };
+        })
+        .filter((device) => device.routable)
+        .sort((a, b) => b.score - a.score);
+
+    return ranked[0]?.index;
+}
@@ -9,6 +9,8 @@ export class StatisticData {
             lucky: 0,
             crit_lucky: 0,
             hpLessen: 0,
+            absorbed: 0,
+            overheal: 0,
             total: 0,
         };
         this.count = {
@@ -17,6 +19,7 @@ export class StatisticData {
             lucky: 0,
             total: 0,
         };
+        this.bySource = {}; // 按伤害来源类型统计 source -> { total, count }
         this.realtimeWindow = [];
         this.timeRange = [];
         this.realtimeStats = {
@@ -30,8 +33,11 @@ export class StatisticData {
      * @param {boolean} isCrit - 是否为暴击
      * @param {boolean} isLucky - 是否为幸运
      * @param {number} hpLessenValue - 生命值减少量（仅伤害使用）
+     * @param {number} overhealValue - 溢出治疗量（仅治疗使用）
+     * @param {string} [source] - 伤害来源类型，如 'Skill'、'Buff'，参见 getDamageSource
+     * @param {boolean} [isDead] - 是否致死伤害（仅伤害使用）
      */
-    addRecord(value, isCrit, isLucky, hpLessenValue = 0) {
+    addRecord(value, isCrit, isLucky, hpLessenValue = 0, overhealValue = 0, source, isDead = false) {
         const now = Date.now();
 
         if (isCrit) {
@@ -47,6 +53,11 @@ export class StatisticData {
         }
         this.stats.total += value;
         this.stats.hpLessen += hpLessenValue;
+        if (this.type === '伤害' && !isDead) {
+            // 未扣除生命值的部分，被护盾吸收或未生效。致死伤害的剩余部分是溢出伤害，不计入
+            this.stats.absorbed += Math.max(0, value - hpLessenValue);
+        }
+        this.stats.overheal += overhealValue;
 
         if (isCrit) {
             this.count.critical++;
@@ -59,6 +70,14 @@ export class StatisticData {
         }
         this.count.total++;
 
+        if (source) {
+            if (!this.bySource[source]) {
+                this.bySource[source] = { total: 0, count: 0 };
+            }
+            this.bySource[source].total += value;
+            this.bySource[source].count++;
+        }
+
         this.realtimeWindow.push({
             time: now,
             value,
@@ -97,6 +116,37 @@ export class StatisticData {
         return totalPerSecond;
     }
 
+    /** 获取有效治疗量和溢出率 */
+    getHealingBreakdown() {
+        const effective = this.stats.total - this.stats.overheal;
+        return {
+            effective,
+            overheal: this.stats.overheal,
+            overhealRate: this.stats.total > 0 ? this.stats.overheal / this.stats.total : 0,
+        };
+    }
+
+    /** 获取有效伤害（实际扣除的生命值）和被吸收的伤害 */
+    getAbsorbBreakdown() {
+        return {
+            effective: this.stats.total - this.stats.absorbed,
+            absorbed: this.stats.absorbed,
+            absorbRate: this.stats.total > 0 ? this.stats.absorbed / this.stats.total : 0,
+        };
+    }
+
+    /** 获取按伤害来源类型的统计，含各来源占比 */
+    getSourceBreakdown() {
+        const breakdown = {};
+        for (const [source, entry] of Object.entries(this.bySource)) {
+            breakdown[source] = {
+                ...entry,
+                share: this.stats.total > 0 ? entry.total / this.stats.total : 0,
+            };
+        }
+        return breakdown;
+    }
+
     reset() {
         this.stats = {
             normal: 0,
@@ -104,6 +154,8 @@ export class StatisticData {
             lucky: 0,
             crit_lucky: 0,
             hpLessen: 0,
+            absorbed: 0,
+            overheal: 0,
             total: 0,
         };
         this.count = {
@@ -112,6 +164,7 @@ export class StatisticData {
             lucky: 0,
             total: 0,
         };
+        this.bySource = {};
         this.realtimeWindow = [];
         this.timeRange = [];
         this.realtimeStats = {
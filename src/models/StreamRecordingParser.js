@@ -0,0 +1,65 @@
+export const STREAM_RECORDING_MAGIC = Buffer.from('BPSRSTRM');
+export const STREAM_RECORDING_VERSION = 2;
+export const STREAM_RECORDING_HEADER_SIZE = 18;
+export const STREAM_RECORD_HEADER_SIZE = 10;
+
+// Version 1 records have no flow key, their payloads all belong to one game connection
+const V1_RECORD_HEADER_SIZE = 8;
+
+/**
+ * Incremental parser for stream recordings written by the StreamRecorder.
+ *
+ * Layout (big endian):
+ * - header: magic "BPSRSTRM", u16 version, u64 start time (ms since epoch)
+ * - records: u32 offset from start time (ms), u32 payload length, u16 flow key length, flow key (utf8), payload
+ *
+ * Version 1 records lack the flow key length and flow key.
+ */
+export class StreamRecordingParser {
+    constructor() {
+        this.buffer = Buffer.alloc(0);
+        this.startTime = null;
+        this.version = null;
+    }
+
+    /**
+     * Appends data and parses every complete record.
+     * @param {Buffer} chunk Newly read bytes.
+     * @returns {{timestamp: number, flowKey: string|null, payload: Buffer}[]} Parsed records, timestamps in
+     * milliseconds since epoch. flowKey is the game connection the payload came from, null in version 1 recordings.
+     */
+    push(chunk) {
+        this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+        const records = [];
+
+        if (this.startTime === null) {
+            if (this.buffer.length < STREAM_RECORDING_HEADER_SIZE) {
+                return records;
+            }
+            if (Buffer.compare(this.buffer.subarray(0, STREAM_RECORDING_MAGIC.length), STREAM_RECORDING_MAGIC) !== 0) {
+                throw new Error('Not a stream recording file');
+            }
+            const version = this.buffer.readUInt16BE(8);
+            if (version !== 1 && version !== STREAM_RECORDING_VERSION) {
+                throw new Error(`Unsupported stream recording version: ${version}`);
+            }
+            this.version = version;
+            this.startTime = Number(this.buffer.readBigUInt64BE(10));
+            this.buffer = this.buffer.subarray(STREAM_RECORDING_HEADER_SIZE);
+        }
+
+        const headerSize = this.version === 1 ? V1_RECORD_HEADER_SIZE : STREAM_RECORD_HEADER_SIZE;
+        while (this.buffer.length >= headerSize) {
+            const offset = this.buffer.readUInt32BE(0);
+            const length = this.buffer.readUInt32BE(4);
+            const keyLength = this.version === 1 ? 0 : this.buffer.readUInt16BE(8);
+            const payloadStart = headerSize + keyLength;
+            if (this.buffer.length < payloadStart + length) break;
+            const flowKey = this.version === 1 ? null : this.buffer.toString('utf8', headerSize, payloadStart);
+            const payload = Buffer.from(this.buffer.subarray(payloadStart, payloadStart + length));
+            this.buffer = this.buffer.subarray(payloadStart + length);
+            records.push({ timestamp: this.startTime + offset, flowKey, payload });
+        }
+        return records;
+    }
+}
@@ -0,0 +1,77 @@
+import skill_names from '../tables/skill_names.json' with { type: 'json' };
+
+const skillConfig = skill_names.skill_names;
+
+const createEntry = (name) => ({ name, total: 0, absorbed: 0, hits: 0, critHits: 0, luckyHits: 0, maxHit: 0 });
+
+const addToEntry = (entry, damage, absorbed, isCrit, isLucky) => {
+    entry.total += damage;
+    entry.absorbed += absorbed;
+    entry.hits++;
+    if (isCrit) entry.critHits++;
+    if (isLucky) entry.luckyHits++;
+    entry.maxHit = Math.max(entry.maxHit, damage);
+};
+
+const toSortedList = (map) => Array.from(map.values()).sort((a, b) => b.total - a.total);
+
+/**
+ * Incoming damage of one player, broken down by attacker, skill and element.
+ */
+export class TakenDamageData {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * @param {number} damage
+     * @param {boolean} isDead Whether the hit was lethal, the damage beyond the HP left is overkill and not absorbed.
+     * @param {object} hit
+     * @param {string} hit.sourceName Name of the attacker, hits of attackers with the same name are merged.
+     * @param {number} hit.skillId
+     * @param {string} hit.element Element label, e.g. '🔥火'.
+     * @param {number} hit.hpLessen HP actually lost, the rest of the damage was absorbed.
+     * @param {boolean} hit.isCrit
+     * @param {boolean} hit.isLucky
+     */
+    addRecord(damage, isDead, { sourceName, skillId, element, hpLessen, isCrit, isLucky }) {
+        const absorbed = isDead ? 0 : Math.max(0, damage - hpLessen);
+        addToEntry(this.total, damage, absorbed, isCrit, isLucky);
+
+        if (!this.bySource.has(sourceName)) {
+            this.bySource.set(sourceName, createEntry(sourceName));
+        }
+        addToEntry(this.bySource.get(sourceName), damage, absorbed, isCrit, isLucky);
+
+        if (!this.bySkill.has(skillId)) {
+            this.bySkill.set(skillId, { skillId, ...createEntry(skillConfig[skillId] ?? String(skillId)) });
+        }
+        const skillEntry = this.bySkill.get(skillId);
+        addToEntry(skillEntry, damage, absorbed, isCrit, isLucky);
+        skillEntry.source = sourceName;
+
+        if (!this.byElement.has(element)) {
+            this.byElement.set(element, createEntry(element));
+        }
+        addToEntry(this.byElement.get(element), damage, absorbed, isCrit, isLucky);
+    }
+
+    reset() {
+        this.total = createEntry('Total');
+        this.bySource = new Map();
+        this.bySkill = new Map();
+        this.byElement = new Map();
+    }
+
+    /**
+     * @returns {{total: object, bySource: object[], bySkill: object[], byElement: object[]}} Lists sorted by damage.
+     */
+    getSummary() {
+        return {
+            total: { ...this.total },
+            bySource: toSortedList(this.bySource),
+            bySkill: toSortedList(this.bySkill),
+            byElement: toSortedList(this.byElement),
+        };
+    }
+}
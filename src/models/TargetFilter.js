@@ -0,0 +1,77 @@
+export const TargetFilterMode = {
+    All: 'all',
+    Bosses: 'bosses',
+    CurrentTarget: 'currentTarget',
+};
+
+export const DEFAULT_TARGET_FILTER = {
+    mode: TargetFilterMode.All,
+    includeTemplateIds: [],
+    excludeTemplateIds: [],
+    includeNames: [],
+    excludeNames: [],
+};
+
+// Name patterns are case-insensitive regular expressions, a pattern that does not compile matches as plain text
+const compilePattern = (pattern) => {
+    try {
+        return new RegExp(pattern, 'i');
+    } catch {
+        return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+};
+
+const toTemplateIds = (ids) => new Set((ids || []).map(Number).filter(Number.isInteger));
+const toPatterns = (patterns) => (patterns || []).filter(Boolean).map(compilePattern);
+
+/**
+ * Decides which enemies damage is recorded against, built from the `targetFilter` setting.
+ */
+export class TargetFilter {
+    /**
+     * @param {object} [settings]
+     * @param {string} [settings.mode] One of TargetFilterMode.
+     * @param {number[]} [settings.includeTemplateIds] Monster template ids (AttrId) to record, all when empty.
+     * @param {number[]} [settings.excludeTemplateIds] Monster template ids never to record.
+     * @param {string[]} [settings.includeNames] Name patterns to record, all when empty.
+     * @param {string[]} [settings.excludeNames] Name patterns never to record.
+     */
+    constructor(settings = {}) {
+        this.mode = settings.mode || TargetFilterMode.All;
+        this.includeTemplateIds = toTemplateIds(settings.includeTemplateIds);
+        this.excludeTemplateIds = toTemplateIds(settings.excludeTemplateIds);
+        this.includeNames = toPatterns(settings.includeNames);
+        this.excludeNames = toPatterns(settings.excludeNames);
+    }
+
+    /** @returns {boolean} Whether the filter lets every target through. */
+    isEmpty() {
+        return (
+            this.mode === TargetFilterMode.All &&
+            this.includeTemplateIds.size === 0 &&
+            this.excludeTemplateIds.size === 0 &&
+            this.includeNames.length === 0 &&
+            this.excludeNames.length === 0
+        );
+    }
+
+    /**
+     * @param {object} target
+     * @param {number} [target.templateId] Undefined while the template is not known.
+     * @param {string} [target.name]
+     * @param {boolean} target.isBoss Whether the target is the boss picked by the boss tracker.
+     * @param {boolean} target.isCurrentTarget Whether the local player last hit this target.
+     * @returns {boolean}
+     */
+    matches({ templateId, name, isBoss, isCurrentTarget }) {
+        if (this.mode === TargetFilterMode.Bosses && !isBoss) return false;
+        if (this.mode === TargetFilterMode.CurrentTarget && !isCurrentTarget) return false;
+
+        const matchesTemplate = (ids) => templateId !== undefined && ids.has(templateId);
+        const matchesName = (patterns) => !!name && patterns.some((pattern) => pattern.test(name));
+        if (matchesTemplate(this.excludeTemplateIds) || matchesName(this.excludeNames)) return false;
+
+        const hasIncludes = this.includeTemplateIds.size > 0 || this.includeNames.length > 0;
+        return !hasIncludes || matchesTemplate(this.includeTemplateIds) || matchesName(this.includeNames);
+    }
+}
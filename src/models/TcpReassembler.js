@@ -0,0 +1,176 @@
+const MAX_FRAME_SIZE = 0x0fffff;
+const FRAME_HEADER_SIZE = 6;
+const MAX_MESSAGE_TYPE = 6;
+
+// How long a hole in the stream may wait for a retransmission before it is skipped
+const GAP_TIMEOUT = 3000;
+// Skip the hole right away once this much data is queued behind it
+const MAX_PENDING_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Signed distance between two 32-bit sequence numbers, correct across wraparound.
+ * @param {number} a
+ * @param {number} b
+ * @returns {number} Positive when a is after b.
+ */
+export const seqDiff = (a, b) => (a - b) | 0;
+
+const isValidFrameHeader = (buffer, offset) => {
+    const size = buffer.readUInt32BE(offset);
+    if (size < FRAME_HEADER_SIZE || size > MAX_FRAME_SIZE) return false;
+    const type = buffer.readUInt16BE(offset + 4) & 0x7fff;
+    return type > 0 && type <= MAX_MESSAGE_TYPE;
+};
+
+/**
+ * Reassembles one direction of a TCP connection into length-prefixed game frames.
+ * Retransmitted and overlapping segments are trimmed, holes that never get filled are skipped,
+ * and after a skip or a corrupt length the stream is resynced on the next plausible frame header.
+ */
+export class TcpReassembler {
+    /**
+     * @param {number} nextSeq Sequence number of the first byte expected.
+     * @param {object} [handlers]
+     * @param {(bytes: number) => void} [handlers.onGap] Called when a hole of this many bytes is skipped.
+     * @param {(size: number) => void} [handlers.onInvalidFrame] Called with the length of a corrupt frame header.
+     * @param {(bytes: number) => void} [handlers.onResync] Called when bytes are discarded to find the next frame.
+     */
+    constructor(nextSeq, handlers = {}) {
+        this.nextSeq = nextSeq >>> 0;
+        this.handlers = handlers;
+        this.segments = new Map();
+        this.pendingBytes = 0;
+        this.gapSince = 0;
+        this.lastTime = 0;
+        this.resyncing = false;
+        this.data = Buffer.alloc(0);
+    }
+
+    /**
+     * Adds a TCP segment and returns every frame completed by it.
+     * @param {number} seq Sequence number of the segment.
+     * @param {Buffer} payload TCP payload.
+     * @param {number} [now] Current time in milliseconds.
+     * @returns {Buffer[]} Complete frames in stream order.
+     */
+    push(seq, payload, now = Date.now()) {
+        if (payload.length > 0) {
+            this._store(seq >>> 0, payload);
+        }
+        if (this._drain()) {
+            this.lastTime = now;
+            this.gapSince = 0;
+        }
+
+        if (this.segments.size > 0) {
+            if (this.gapSince === 0) this.gapSince = now;
+            if (now - this.gapSince > GAP_TIMEOUT || this.pendingBytes > MAX_PENDING_BYTES) {
+                this._skipGap();
+                this._drain();
+                this.lastTime = now;
+                this.gapSince = this.segments.size > 0 ? now : 0;
+            }
+        }
+
+        return this._readFrames();
+    }
+
+    _store(seq, payload) {
+        // Trim whatever part of the segment was already consumed
+        const consumed = seqDiff(this.nextSeq, seq);
+        if (consumed >= payload.length) return;
+        if (consumed > 0) {
+            payload = payload.subarray(consumed);
+            seq = this.nextSeq;
+        }
+
+        const existing = this.segments.get(seq);
+        if (existing) {
+            if (existing.length >= payload.length) return;
+            this.pendingBytes -= existing.length;
+        }
+        this.segments.set(seq, payload);
+        this.pendingBytes += payload.length;
+    }
+
+    _drain() {
+        let progressed = false;
+        let found = true;
+        while (found && this.segments.size > 0) {
+            found = false;
+            for (const [seq, payload] of this.segments) {
+                const offset = seqDiff(this.nextSeq, seq);
+                if (offset < 0) continue;
+
+                this.segments.delete(seq);
+                this.pendingBytes -= payload.length;
+                if (offset >= payload.length) continue;
+
+                const fresh = offset > 0 ? payload.subarray(offset) : payload;
+                this.data = this.data.length === 0 ? fresh : Buffer.concat([this.data, fresh]);
+                this.nextSeq = (this.nextSeq + fresh.length) >>> 0;
+                progressed = true;
+                found = true;
+            }
+        }
+        return progressed;
+    }
+
+    _skipGap() {
+        let earliest = null;
+        for (const seq of this.segments.keys()) {
+            if (earliest === null || seqDiff(seq, earliest) < 0) earliest = seq;
+        }
+        if (earliest === null) return;
+
+        const skipped = seqDiff(earliest, this.nextSeq);
+        this.nextSeq = earliest;
+        // The frame that straddles the hole can never be completed
+        this.data = Buffer.alloc(0);
+        this.resyncing = true;
+        this.handlers.onGap?.(skipped);
+    }
+
+    _readFrames() {
+        const frames = [];
+        while (this.data.length >= FRAME_HEADER_SIZE) {
+            if (this.resyncing && !this._resync()) break;
+
+            const packetSize = this.data.readUInt32BE();
+            if (!isValidFrameHeader(this.data, 0)) {
+                this.handlers.onInvalidFrame?.(packetSize);
+                this.resyncing = true;
+                continue;
+            }
+            if (this.data.length < packetSize) break;
+
+            frames.push(this.data.subarray(0, packetSize));
+            this.data = this.data.subarray(packetSize);
+        }
+        return frames;
+    }
+
+    _resync() {
+        const limit = this.data.length - FRAME_HEADER_SIZE;
+        for (let offset = 0; offset <= limit; offset++) {
+            if (!isValidFrameHeader(this.data, offset)) continue;
+
+            // When the following header is already buffered it has to be valid too
+            const next = offset + this.data.readUInt32BE(offset);
+            if (next + FRAME_HEADER_SIZE <= this.data.length && !isValidFrameHeader(this.data, next)) continue;
+
+            if (offset > 0) this.handlers.onResync?.(offset);
+            this.data = this.data.subarray(offset);
+            this.resyncing = false;
+            return true;
+        }
+
+        // Keep the tail, a header may still be split across segments
+        const discarded = Math.max(0, limit + 1);
+        if (discarded > 0) {
+            this.handlers.onResync?.(discarded);
+            this.data = this.data.subarray(discarded);
+        }
+        return false;
+    }
+}
@@ -1,4 +1,7 @@
 import { StatisticData } from './StatisticData.js';
+import { BuffData } from './BuffData.js';
+import { TakenDamageData } from './TakenDamageData.js';
+import { ElementProfile } from './ElementProfile.js';
 import skill_names from '../tables/skill_names.json' with { type: 'json' };
 
 const skillConfig = skill_names.skill_names;
@@ -64,9 +67,14 @@ export class UserData {
         this.damageStats = new StatisticData(this, '伤害');
         this.healingStats = new StatisticData(this, '治疗');
         this.takenDamage = 0; // 承伤
+        this.takenStats = new TakenDamageData(); // 承伤来源
         this.deadCount = 0; // 死亡次数
         this.profession = '...';
         this.skillUsage = new Map(); // 技能使用情况
+        this.summonSkillUsage = new Map(); // 其中由召唤物造成的部分 skillId -> StatisticData
+        this.summons = new Map(); // 召唤物 summonUid -> { uid, name, damage, healing, hits }
+        this.targetDamage = new Map(); // 按目标统计的伤害 targetUid -> { uid, name, stats, skillUsage, ... }
+        this.buffData = new BuffData(); // 身上的Buff/Debuff
         this.fightPoint = 0; // 总评分
         this.subProfession = '';
         this.attr = {};
@@ -78,24 +86,112 @@ export class UserData {
         this.lastUpdateTime = Date.now();
     }
 
+    /** 获取召唤物的技能统计，不存在时创建
+     * @param {Map} summonSkillUsage - 召唤物的技能使用情况
+     * @param {number} skillId
+     * @param {string} type - '伤害' 或 '治疗'
+     * */
+    _getSummonStat(summonSkillUsage, skillId, type) {
+        if (!summonSkillUsage.has(skillId)) {
+            summonSkillUsage.set(skillId, new StatisticData(this, type));
+        }
+        return summonSkillUsage.get(skillId);
+    }
+
+    /** 更新召唤物统计
+     * @param {Map} summons - 召唤物统计 summonUid -> { uid, name, damage, healing, hits }
+     * @param {{uid: number, name: string}} summon - 召唤物
+     * @param {string} key - 'damage' 或 'healing'
+     * @param {number} value
+     * */
+    _addSummonTotal(summons, summon, key, value) {
+        if (!summons.has(summon.uid)) {
+            summons.set(summon.uid, { uid: summon.uid, name: summon.name, damage: 0, healing: 0, hits: 0 });
+        }
+        const entry = summons.get(summon.uid);
+        if (summon.name) {
+            entry.name = summon.name;
+        }
+        entry[key] += value;
+        entry.hits++;
+    }
+
     /** 添加伤害记录
-     * @param {number} skillId - 技能ID/Buff ID
-     * @param {string} element - 技能元素属性
-     * @param {number} damage - 伤害值
-     * @param {boolean} isCrit - 是否为暴击
-     * @param {boolean} [isLucky] - 是否为幸运
-     * @param {boolean} [isCauseLucky] - 是否造成幸运
-     * @param {number} hpLessenValue - 生命值减少量
+     * @param {object} hit - 伤害记录
+     * @param {number} hit.skillId - 技能ID/Buff ID
+     * @param {string} hit.element - 技能元素属性
+     * @param {number} hit.damage - 伤害值
+     * @param {boolean} hit.isCrit - 是否为暴击
+     * @param {boolean} [hit.isLucky] - 是否为幸运
+     * @param {boolean} [hit.isCauseLucky] - 是否造成幸运
+     * @param {number} [hit.hpLessenValue] - 生命值减少量
+     * @param {number} [hit.targetUid] - 目标UID
+     * @param {string} [hit.targetName] - 目标名称
+     * @param {{uid: number, name: string}} [hit.summon] - 造成伤害的召唤物，自身造成时为空
+     * @param {string} [hit.damageSource] - 伤害来源类型，如 'Skill'、'Buff'
+     * @param {boolean} [hit.isDead] - 是否致死伤害
      */
-    addDamage(skillId, element, damage, isCrit, isLucky, isCauseLucky, hpLessenValue = 0) {
+    addDamage({
+        skillId,
+        element,
+        damage,
+        isCrit,
+        isLucky,
+        isCauseLucky,
+        hpLessenValue = 0,
+        targetUid,
+        targetName,
+        summon,
+        damageSource,
+        isDead,
+    }) {
         this._touch();
-        this.damageStats.addRecord(damage, isCrit, isLucky, hpLessenValue);
+        this.damageStats.addRecord(damage, isCrit, isLucky, hpLessenValue, 0, damageSource, isDead);
         // 记录技能使用情况
         if (!this.skillUsage.has(skillId)) {
             this.skillUsage.set(skillId, new StatisticData(this, '伤害', element));
         }
-        this.skillUsage.get(skillId).addRecord(damage, isCrit, isCauseLucky, hpLessenValue);
+        this.skillUsage.get(skillId).addRecord(damage, isCrit, isCauseLucky, hpLessenValue, 0, damageSource, isDead);
         this.skillUsage.get(skillId).realtimeWindow.length = 0;
+        if (summon) {
+            const summonStat = this._getSummonStat(this.summonSkillUsage, skillId, '伤害');
+            summonStat.addRecord(damage, isCrit, isCauseLucky, hpLessenValue);
+            summonStat.realtimeWindow.length = 0;
+            this._addSummonTotal(this.summons, summon, 'damage', damage);
+        }
+
+        // 记录对目标的伤害
+        if (targetUid !== undefined) {
+            if (!this.targetDamage.has(targetUid)) {
+                this.targetDamage.set(targetUid, {
+                    uid: targetUid,
+                    name: '',
+                    stats: new StatisticData(this, '伤害'),
+                    skillUsage: new Map(),
+                    summonSkillUsage: new Map(),
+                    summons: new Map(),
+                });
+            }
+            const target = this.targetDamage.get(targetUid);
+            if (targetName) {
+                target.name = targetName;
+            }
+            target.stats.addRecord(damage, isCrit, isLucky, hpLessenValue, 0, damageSource, isDead);
+            target.stats.realtimeWindow.length = 0;
+            if (!target.skillUsage.has(skillId)) {
+                target.skillUsage.set(skillId, new StatisticData(this, '伤害', element));
+            }
+            target.skillUsage
+                .get(skillId)
+                .addRecord(damage, isCrit, isCauseLucky, hpLessenValue, 0, damageSource, isDead);
+            target.skillUsage.get(skillId).realtimeWindow.length = 0;
+            if (summon) {
+                const summonStat = this._getSummonStat(target.summonSkillUsage, skillId, '伤害');
+                summonStat.addRecord(damage, isCrit, isCauseLucky, hpLessenValue);
+                summonStat.realtimeWindow.length = 0;
+                this._addSummonTotal(target.summons, summon, 'damage', damage);
+            }
+        }
 
         const subProfession = getSubProfessionBySkillId(skillId);
         if (subProfession) {
@@ -104,23 +200,33 @@ export class UserData {
     }
 
     /** 添加治疗记录
-     * @param {number} skillId - 技能ID/Buff ID
-     * @param {string} element - 技能元素属性
-     * @param {number} healing - 治疗值
-     * @param {boolean} isCrit - 是否为暴击
-     * @param {boolean} [isLucky] - 是否为幸运
-     * @param {boolean} [isCauseLucky] - 是否造成幸运
+     * @param {object} hit - 治疗记录
+     * @param {number} hit.skillId - 技能ID/Buff ID
+     * @param {string} hit.element - 技能元素属性
+     * @param {number} hit.healing - 治疗值
+     * @param {boolean} hit.isCrit - 是否为暴击
+     * @param {boolean} [hit.isLucky] - 是否为幸运
+     * @param {boolean} [hit.isCauseLucky] - 是否造成幸运
+     * @param {number} [hit.overheal] - 溢出治疗量
+     * @param {{uid: number, name: string}} [hit.summon] - 造成治疗的召唤物，自身造成时为空
+     * @param {string} [hit.damageSource] - 治疗来源类型，如 'Skill'、'Buff'
      */
-    addHealing(skillId, element, healing, isCrit, isLucky, isCauseLucky) {
+    addHealing({ skillId, element, healing, isCrit, isLucky, isCauseLucky, overheal = 0, summon, damageSource }) {
         this._touch();
-        this.healingStats.addRecord(healing, isCrit, isLucky);
+        this.healingStats.addRecord(healing, isCrit, isLucky, 0, overheal, damageSource);
         // 记录技能使用情况
         skillId = skillId + 1000000000;
         if (!this.skillUsage.has(skillId)) {
             this.skillUsage.set(skillId, new StatisticData(this, '治疗', element));
         }
-        this.skillUsage.get(skillId).addRecord(healing, isCrit, isCauseLucky);
+        this.skillUsage.get(skillId).addRecord(healing, isCrit, isCauseLucky, 0, overheal, damageSource);
         this.skillUsage.get(skillId).realtimeWindow.length = 0;
+        if (summon) {
+            const summonStat = this._getSummonStat(this.summonSkillUsage, skillId, '治疗');
+            summonStat.addRecord(healing, isCrit, isCauseLucky, 0, overheal);
+            summonStat.realtimeWindow.length = 0;
+            this._addSummonTotal(this.summons, summon, 'healing', healing);
+        }
 
         const subProfession = getSubProfessionBySkillId(skillId - 1000000000);
         if (subProfession) {
@@ -131,15 +237,54 @@ export class UserData {
     /** 添加承伤记录
      * @param {number} damage - 承受的伤害值
      * @param {boolean} isDead - 是否致死伤害
+     * @param {object} [hit] - 来源、技能和元素，参见 TakenDamageData.addRecord
      * */
-    addTakenDamage(damage, isDead) {
+    addTakenDamage(damage, isDead, hit) {
         this._touch();
         this.takenDamage += damage;
+        if (hit) {
+            this.takenStats.addRecord(damage, isDead, hit);
+        }
         if (isDead) {
             this.deadCount++;
         }
     }
 
+    /** 添加Buff或更新层数
+     * @param {number} buffUuid - Buff实例ID
+     * @param {number} buffId - Buff ID
+     * @param {number} stacks - 层数
+     * @param {number} sourceUid - 施加者UID
+     * @param {number} [duration] - 持续时间（毫秒），0为永久
+     * */
+    applyBuff(buffUuid, buffId, stacks, sourceUid, duration) {
+        this._touch();
+        this.buffData.apply(buffUuid, buffId, stacks, sourceUid, duration);
+    }
+
+    /** 移除Buff
+     * @param {number} buffUuid - Buff实例ID
+     * */
+    removeBuff(buffUuid) {
+        this._touch();
+        this.buffData.remove(buffUuid);
+    }
+
+    /** 离开视野时结束所有Buff，之后不会再收到移除事件 */
+    removeAllBuffs() {
+        this.buffData.removeAll();
+    }
+
+    /** 获取承伤统计数据 */
+    getTakenSummary() {
+        return this.takenStats.getSummary();
+    }
+
+    /** 获取Buff统计数据 */
+    getBuffSummary() {
+        return this.buffData.getSummary();
+    }
+
     /** 更新实时DPS和HPS 计算过去1秒内的总伤害和治疗 */
     updateRealtimeDps() {
         this.damageStats.updateRealtimeStats();
@@ -178,6 +323,7 @@ export class UserData {
             realtime_hps_max: this.healingStats.realtimeStats.max,
             total_hps: this.getTotalHps(),
             total_healing: { ...this.healingStats.stats },
+            ...this._getHealingSummary(),
             taken_damage: this.takenDamage,
             profession: this.profession + (this.subProfession ? ` ${this.subProfession}` : ''),
             name: this.name,
@@ -185,6 +331,8 @@ export class UserData {
             hp: this.attr.hp,
             max_hp: this.attr.max_hp,
             dead_count: this.deadCount,
+            summon_damage: this._getSummonTotal('damage'),
+            summon_healing: this._getSummonTotal('healing'),
         };
         
         // Debug: Check if the summary contains string representations
@@ -202,10 +350,105 @@ export class UserData {
         return summary;
     }
 
-    /** 获取技能统计数据 */
-    getSkillSummary() {
+    /** 获取按目标统计的伤害 */
+    getTargetSummary() {
+        const targets = {};
+        for (const [targetUid, target] of this.targetDamage) {
+            targets[targetUid] = {
+                uid: targetUid,
+                name: target.name,
+                totalDamage: target.stats.stats.total,
+                hpLessen: target.stats.stats.hpLessen,
+                absorbed: target.stats.stats.absorbed,
+                totalCount: target.stats.count.total,
+                critCount: target.stats.count.critical,
+                luckyCount: target.stats.count.lucky,
+                dps: target.stats.getTotalPerSecond(),
+            };
+        }
+        return targets;
+    }
+
+    /** 获取有效治疗和溢出治疗 */
+    _getHealingSummary() {
+        const { effective, overheal, overhealRate } = this.healingStats.getHealingBreakdown();
+        return {
+            effective_healing: effective,
+            overheal: overheal,
+            overheal_rate: overhealRate,
+        };
+    }
+
+    /** 获取按来源类型的伤害和治疗统计
+     * @param {number} [targetUid] - 只统计对该目标的伤害
+     * */
+    getSourceSummary(targetUid) {
+        if (targetUid !== undefined) {
+            const target = this.targetDamage.get(targetUid);
+            return { damage: target ? target.stats.getSourceBreakdown() : {}, healing: {} };
+        }
+        return {
+            damage: this.damageStats.getSourceBreakdown(),
+            healing: this.healingStats.getSourceBreakdown(),
+        };
+    }
+
+    /** 获取按元素统计的伤害
+     * @param {number} [targetUid] - 只统计对该目标的伤害
+     * */
+    getElementSummary(targetUid) {
+        let skillUsage = this.skillUsage;
+        if (targetUid !== undefined) {
+            const target = this.targetDamage.get(targetUid);
+            skillUsage = target ? target.skillUsage : new Map();
+        }
+        const profile = new ElementProfile();
+        for (const stat of skillUsage.values()) {
+            if (stat.type === '伤害') {
+                profile.add(stat.element, stat.stats.total, stat.count.total);
+            }
+        }
+        return profile.getSummary();
+    }
+
+    /** 获取召唤物造成的总伤害或总治疗
+     * @param {string} key - 'damage' 或 'healing'
+     * */
+    _getSummonTotal(key) {
+        let total = 0;
+        for (const summon of this.summons.values()) {
+            total += summon[key];
+        }
+        return total;
+    }
+
+    /** 获取召唤物统计数据，按伤害排序
+     * @param {number} [targetUid] - 只统计对该目标的伤害
+     * */
+    getSummonSummary(targetUid) {
+        let summons = this.summons;
+        if (targetUid !== undefined) {
+            const target = this.targetDamage.get(targetUid);
+            summons = target ? target.summons : new Map();
+        }
+        return Array.from(summons.values(), (summon) => ({ ...summon })).sort(
+            (a, b) => b.damage + b.healing - (a.damage + a.healing)
+        );
+    }
+
+    /** 获取技能统计数据
+     * @param {number} [targetUid] - 只统计对该目标的伤害
+     * */
+    getSkillSummary(targetUid) {
+        let skillUsage = this.skillUsage;
+        let summonSkillUsage = this.summonSkillUsage;
+        if (targetUid !== undefined) {
+            const target = this.targetDamage.get(targetUid);
+            skillUsage = target ? target.skillUsage : new Map();
+            summonSkillUsage = target ? target.summonSkillUsage : new Map();
+        }
         const skills = {};
-        for (const [skillId, stat] of this.skillUsage) {
+        for (const [skillId, stat] of skillUsage) {
             const total = stat.stats.normal + stat.stats.critical + stat.stats.lucky + stat.stats.crit_lucky;
             const critCount = stat.count.critical;
             const luckyCount = stat.count.lucky;
@@ -213,6 +456,8 @@ export class UserData {
             const luckyRate = stat.count.total > 0 ? luckyCount / stat.count.total : 0;
             const name = skillConfig[skillId % 1000000000] ?? skillId % 1000000000;
             const elementype = stat.element;
+            const summonStat = summonSkillUsage.get(skillId);
+            const summonTotal = summonStat ? summonStat.stats.total : 0;
 
             skills[skillId] = {
                 displayName: name,
@@ -226,7 +471,15 @@ export class UserData {
                 luckyRate: luckyRate,
                 damageBreakdown: { ...stat.stats },
                 countBreakdown: { ...stat.count },
+                selfTotal: stat.stats.total - summonTotal,
+                summonTotal: summonTotal,
+                sourceBreakdown: stat.getSourceBreakdown(),
             };
+            if (stat.type === '治疗') {
+                Object.assign(skills[skillId], stat.getHealingBreakdown());
+            } else {
+                Object.assign(skills[skillId], stat.getAbsorbBreakdown());
+            }
         }
         return skills;
     }
@@ -287,7 +540,12 @@ export class UserData {
         this.damageStats.reset();
         this.healingStats.reset();
         this.takenDamage = 0;
+        this.takenStats.reset();
         this.skillUsage.clear();
+        this.summonSkillUsage.clear();
+        this.summons.clear();
+        this.targetDamage.clear();
+        this.buffData.reset();
         this.fightPoint = 0;
         
         // Restore preserved data
@@ -1,5 +1,6 @@
 // Fight History Window JavaScript
-const SERVER_URL = 'localhost:8990';
+// Served by the meter itself in a browser or the overlay, the history window is loaded from a file
+const SERVER_URL = window.location.protocol.startsWith('http') ? window.location.host : 'localhost:8990';
 
 // Color system (same as main script)
 const colorHues = [
@@ -42,8 +43,20 @@ const cumulativeView = document.getElementById('cumulativeView');
 const fightListView = document.getElementById('fightListView');
 const cumulativeStatsDiv = document.getElementById('cumulativeStats');
 const fightList = document.getElementById('fightList');
+const deathsContainer = document.getElementById('deathsContainer');
+const deathList = document.getElementById('deathList');
+const deathRecap = document.getElementById('deathRecap');
 
 // Utility functions (same as main script)
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 function formatNumber(num) {
     if (isNaN(num)) return 'NaN';
     if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
@@ -226,6 +239,7 @@ function renderFightList() {
         
         const totalDamage = fight.totalDamage || 0;
         const totalHealing = fight.totalHealing || 0;
+        const deathsHtml = fight.deathCount ? `<div class="fight-item-duration">Deaths: ${fight.deathCount}</div>` : '';
         
         fightItem.innerHTML = `
             <div class="fight-item-info">
@@ -236,6 +250,7 @@ function renderFightList() {
                 <div class="fight-item-damage">Damage: ${formatNumber(totalDamage)}</div>
                 <div class="fight-item-healing">Healing: ${formatNumber(totalHealing)}</div>
                 <div class="fight-item-duration">Duration: ${duration}s</div>
+                ${deathsHtml}
             </div>
         `;
         
@@ -349,10 +364,12 @@ async function viewFight(fightId) {
                 
                 console.log(`Loaded fight ${fightId} with ${Object.keys(allUsers).length} users:`, allUsers);
                 updateAll();
+                renderDeaths(data.data.deaths || []);
             } else {
                 console.log('No user stats found in fight data');
                 allUsers = {};
                 updateAll();
+                renderDeaths(data.data.deaths || []);
             }
         } else {
             console.error('Failed to load fight data:', data.msg);
@@ -364,10 +381,67 @@ async function viewFight(fightId) {
     }
 }
 
+// Render the deaths of a fight, clicking one shows the hits that led to it
+function renderDeaths(deaths) {
+    deathList.innerHTML = '';
+    deathRecap.classList.add('hidden');
+    deathsContainer.classList.toggle('hidden', deaths.length === 0);
+
+    deaths.forEach(death => {
+        const deathItem = document.createElement('div');
+        deathItem.className = 'fight-item';
+        deathItem.onclick = () => showDeathRecap(death);
+
+        const time = new Date(death.time);
+        deathItem.innerHTML = `
+            <div class="fight-item-info">
+                <div class="fight-item-id">${escapeHtml(death.name || death.uid)}</div>
+                <div class="fight-item-time">${time.toLocaleTimeString()}</div>
+            </div>
+            <div class="fight-item-stats">
+                <div class="fight-item-damage">${escapeHtml(death.skillName)}</div>
+                <div class="fight-item-duration">${escapeHtml(death.killerName || 'Unknown')}</div>
+            </div>
+        `;
+
+        deathList.appendChild(deathItem);
+    });
+}
+
+function showDeathRecap(death) {
+    const rows = death.events.map(entry => {
+        const amount = entry.type === 'heal' ? `+${formatNumber(entry.value)}` : `-${formatNumber(entry.value)}`;
+        const hp = entry.hpAfter !== null && entry.hpAfter !== undefined ? formatNumber(entry.hpAfter) : '?';
+        const flags = [entry.isCrit ? 'Crit' : '', entry.isLucky ? 'Lucky' : ''].filter(Boolean).join(' ');
+        return `
+            <tr class="death-recap-${entry.type}">
+                <td>${(entry.offset / 1000).toFixed(1)}s</td>
+                <td>${escapeHtml(entry.sourceName)}</td>
+                <td>${escapeHtml(entry.skillName)}</td>
+                <td class="death-recap-amount">${amount} ${flags}</td>
+                <td class="death-recap-amount">${hp}</td>
+            </tr>
+        `;
+    });
+
+    const heading = `${death.name || death.uid} - killed by ${death.killerName || 'Unknown'} (${death.skillName})`;
+    deathRecap.innerHTML = `
+        <h4>${escapeHtml(heading)}</h4>
+        <table>
+            <thead>
+                <tr><th>Time</th><th>Source</th><th>Skill</th><th>Amount</th><th>HP after</th></tr>
+            </thead>
+            <tbody>${rows.join('') || '<tr><td colspan="5">No hits recorded</td></tr>'}</tbody>
+        </table>
+    `;
+    deathRecap.classList.remove('hidden');
+}
+
 // View functions
 function viewCumulativeStats() {
     currentView = 'cumulative';
     columnsContainer.classList.add('hidden');
+    deathsContainer.classList.add('hidden');
     historyContainer.classList.remove('hidden');
     updateHistoryView();
     renderCumulativeStats();
@@ -376,6 +450,7 @@ function viewCumulativeStats() {
 function viewFightHistory() {
     currentView = 'history';
     columnsContainer.classList.add('hidden');
+    deathsContainer.classList.add('hidden');
     historyContainer.classList.remove('hidden');
     updateHistoryView();
     renderFightList();
@@ -39,6 +39,25 @@ const serverStatus = document.getElementById('serverStatus');
 const opacitySlider = document.getElementById('opacitySlider');
 const timeoutSlider = document.getElementById('timeoutSlider');
 const timeoutValue = document.getElementById('timeoutValue');
+const captureHealth = document.getElementById('captureHealth');
+const sessionSelect = document.getElementById('sessionSelect');
+const bossBar = document.getElementById('bossBar');
+const bossBarFill = document.getElementById('bossBarFill');
+const bossBarText = document.getElementById('bossBarText');
+const deviceSelect = document.getElementById('deviceSelect');
+const deviceStatus = document.getElementById('deviceStatus');
+const settingCheckboxes = document.querySelectorAll('input[type="checkbox"][data-setting]');
+const partyWhitelist = document.getElementById('partyWhitelist');
+const targetFilterMode = document.getElementById('targetFilterMode');
+const targetFilterLists = {
+    includeTemplateIds: document.getElementById('targetFilterIncludeTemplateIds'),
+    excludeTemplateIds: document.getElementById('targetFilterExcludeTemplateIds'),
+    includeNames: document.getElementById('targetFilterIncludeNames'),
+    excludeNames: document.getElementById('targetFilterExcludeNames'),
+};
+const detailContainer = document.getElementById('detailContainer');
+const detailTitle = document.getElementById('detailTitle');
+const detailContent = document.getElementById('detailContent');
 
 let allUsers = {};
 let userColors = {};
@@ -47,8 +66,25 @@ let socket = null;
 let isWebSocketConnected = false;
 let lastWebSocketMessage = Date.now();
 const WEBSOCKET_RECONNECT_INTERVAL = 5000;
-
-const SERVER_URL = 'localhost:8990';
+const DETAIL_REFRESH_INTERVAL = 1000;
+
+// Player shown in the detail view
+let detailUid = null;
+let detailTab = 'skills';
+let detailTimer = null;
+
+// Served by the meter itself in a browser or the overlay, the history window is loaded from a file
+const SERVER_URL = window.location.protocol.startsWith('http') ? window.location.host : 'localhost:8990';
+
+// Names, skills and messages come from the game or the server and are interpolated into innerHTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
 function formatNumber(num) {
     if (isNaN(num)) return 'NaN';
@@ -73,6 +109,7 @@ function renderDataList(users) {
         const item = document.createElement('li');
 
         item.className = 'data-item';
+        item.onclick = () => openDetail(user.id);
         const damagePercent = totalDamageOverall > 0 ? (user.total_damage.total / totalDamageOverall) * 100 : 0;
         const healingPercent = totalHealingOverall > 0 ? (user.total_healing.total / totalHealingOverall) * 100 : 0;
 
@@ -83,16 +120,19 @@ function renderDataList(users) {
         if (professionString) {
             const mainProfession = professionString.split('(')[0].trim();
             const iconFileName = mainProfession.toLowerCase().replace(/ /g, '_') + '.png';
-            classIconHtml = `<img src="assets/${iconFileName}" class="class-icon" alt="${mainProfession}" onerror="this.style.display='none'">`;
+            classIconHtml = `<img src="assets/${escapeHtml(iconFileName)}" class="class-icon" alt="${escapeHtml(mainProfession)}" onerror="this.style.display='none'">`;
         }
 
         let subBarHtml = '';
         if (user.total_healing.total > 0 || user.total_hps > 0) {
+            const overhealHtml = user.overheal > 0
+                ? ` · Eff ${formatNumber(user.effective_healing)}, OH ${formatPercent(user.overheal_rate)}`
+                : '';
             subBarHtml = `
                 <div class="sub-bar">
                     <div class="hps-bar-fill" style="width: ${healingPercent}%; background-color: ${colors.hps};"></div>
                     <div class="hps-stats">
-                       ${formatNumber(user.total_healing.total)} (${formatNumber(user.total_hps)} HPS, ${healingPercent.toFixed(1)}%)
+                       ${formatNumber(user.total_healing.total)} (${formatNumber(user.total_hps)} HPS, ${healingPercent.toFixed(1)}%)${overhealHtml}
                     </div>
                 </div>
             `;
@@ -104,7 +144,7 @@ function renderDataList(users) {
                 <div class="content">
                     <span class="rank">${index + 1}.</span>
                     ${classIconHtml}
-                    <span class="name">${displayName}</span>
+                    <span class="name">${escapeHtml(displayName)}</span>
                     <span class="stats">${formatNumber(user.total_damage.total)} (${formatNumber(user.total_dps)} DPS, ${damagePercent.toFixed(1)}%)</span>
                 </div>
             </div>
@@ -194,7 +234,9 @@ function togglePause() {
 }
 
 function closeClient() {
-    window.electronAPI.closeClient();
+    if (window.electronAPI) {
+        window.electronAPI.closeClient();
+    }
 }
 
 function showServerStatus(status) {
@@ -214,6 +256,7 @@ function connectWebSocket() {
         isWebSocketConnected = true;
         showServerStatus('connected');
         lastWebSocketMessage = Date.now();
+        loadSessions();
     });
 
     socket.on('disconnect', () => {
@@ -253,12 +296,118 @@ function connectWebSocket() {
         updateAll();
     });
 
+    socket.on('capture_stats', (stats) => {
+        renderCaptureStats(stats);
+    });
+
+    socket.on('boss_update', (boss) => {
+        renderBossBar(boss);
+    });
+
+    socket.on('sessions', (sessions) => {
+        renderSessions(sessions);
+    });
+
     socket.on('connect_error', (error) => {
         showServerStatus('disconnected');
         console.error('WebSocket connection error:', error);
     });
 }
 
+function renderCaptureStats(stats) {
+    captureHealth.className = `capture-health ${stats.health}`;
+    const decodeErrors = Object.entries(stats.decodeErrorsByMethod)
+        .map(([method, count]) => `  ${method}: ${count}`)
+        .join('\n');
+    captureHealth.title = [
+        `Capture: ${stats.health}`,
+        `Frames seen: ${stats.framesSeen} (queued ${stats.framesQueued})`,
+        `Reassembled: ${(stats.bytesReassembled / 1024 / 1024).toFixed(1)} MB`,
+        `Sequence gaps: ${stats.sequenceGaps} (${stats.gapBytes} bytes lost)`,
+        `Invalid lengths: ${stats.invalidLengthDiscards}`,
+        `Malformed frames: ${stats.malformedFrames}`,
+        `Zstd failures: ${stats.zstdFailures}`,
+        `Decode errors: ${stats.decodeErrors}`,
+        decodeErrors,
+    ]
+        .filter(Boolean)
+        .join('\n');
+}
+
+function formatDuration(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function renderBossBar(boss) {
+    if (!boss) {
+        bossBar.classList.add('hidden');
+        return;
+    }
+    bossBar.classList.remove('hidden');
+    bossBar.classList.toggle('dead', boss.dead);
+    bossBarFill.style.width = `${boss.hpPercent ?? 100}%`;
+
+    const parts = [boss.name];
+    if (boss.dead) {
+        parts.push(`Dead in ${formatDuration(boss.elapsed)}`);
+    } else {
+        if (boss.hpPercent !== null) parts.push(`${boss.hpPercent.toFixed(1)}%`);
+        parts.push(`${formatNumber(boss.dps)} DPS`);
+        if (boss.timeToKill !== null) parts.push(`TTK ${formatDuration(boss.timeToKill * 1000)}`);
+    }
+    bossBarText.textContent = parts.join(' · ');
+    bossBar.title = [
+        `Fight time: ${formatDuration(boss.elapsed)}`,
+        ...boss.thresholds.map((entry) => `${entry.percent}% @${formatDuration(entry.elapsed)}`),
+    ].join('\n');
+}
+
+function renderSessions(sessions) {
+    sessionSelect.innerHTML = '';
+    sessions.forEach((session) => {
+        const label = session.name || `UID ${session.uid}`;
+        sessionSelect.appendChild(new Option(label, session.uid, session.viewed, session.viewed));
+    });
+    // Only worth showing when several game clients are running
+    sessionSelect.classList.toggle('hidden', sessions.length < 2);
+}
+
+async function loadSessions() {
+    try {
+        const response = await fetch(`http://${SERVER_URL}/api/sessions`);
+        const result = await response.json();
+        if (result.code === 0) {
+            renderSessions(result.data);
+        }
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+    }
+}
+
+async function selectSession(uid) {
+    try {
+        const response = await fetch(`http://${SERVER_URL}/api/sessions/select`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ uid }),
+        });
+        const result = await response.json();
+        if (result.code === 0) {
+            allUsers = {};
+            userColors = {};
+            updateAll();
+            renderSessions(result.data);
+        } else {
+            console.error('Failed to select session:', result.msg);
+        }
+    } catch (error) {
+        console.error('Error selecting session:', error);
+    }
+}
+
 function checkConnection() {
     if (!isWebSocketConnected && socket && socket.disconnected) {
         showServerStatus('reconnecting');
@@ -273,6 +422,165 @@ function checkConnection() {
     }
 }
 
+function formatPercent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+// Renders a titled table, columns are [{ label, value: (row) => text, numeric }], every cell is escaped
+function renderDetailTable(title, columns, rows) {
+    const header = columns
+        .map((column) => `<th class="${column.numeric ? 'numeric' : ''}">${escapeHtml(column.label)}</th>`)
+        .join('');
+    const cell = (column, row) =>
+        `<td class="${column.numeric ? 'numeric' : ''}">${escapeHtml(column.value(row))}</td>`;
+    const body = rows.map((row) => `<tr>${columns.map((column) => cell(column, row)).join('')}</tr>`).join('');
+    return `
+        <h4>${escapeHtml(title)}</h4>
+        <table class="detail-table">
+            <thead><tr>${header}</tr></thead>
+            <tbody>${body || `<tr><td colspan="${columns.length}">No data</td></tr>`}</tbody>
+        </table>
+    `;
+}
+
+// e.g. "Skill 80% · Buff 20%", largest share first
+function formatSourceBreakdown(breakdown) {
+    return Object.entries(breakdown)
+        .sort((a, b) => b[1].total - a[1].total)
+        .map(([source, entry]) => `${source} ${formatPercent(entry.share)}`)
+        .join(' · ');
+}
+
+function renderSourceTable(title, breakdown) {
+    const rows = Object.entries(breakdown)
+        .map(([source, entry]) => ({ source, ...entry }))
+        .sort((a, b) => b.total - a.total);
+    if (rows.length === 0) return '';
+    const columns = [
+        { label: 'Source', value: (row) => row.source },
+        { label: 'Total', value: (row) => formatNumber(row.total), numeric: true },
+        { label: '%', value: (row) => formatPercent(row.share), numeric: true },
+        { label: 'Hits', value: (row) => row.count, numeric: true },
+    ];
+    return renderDetailTable(title, columns, rows);
+}
+
+function renderSkillDetail(data) {
+    const skills = Object.values(data.skills).sort((a, b) => b.totalDamage - a.totalDamage);
+    const damageTotal = skills.filter((skill) => skill.type !== '治疗').reduce((sum, skill) => sum + skill.totalDamage, 0);
+    const healingTotal = skills.filter((skill) => skill.type === '治疗').reduce((sum, skill) => sum + skill.totalDamage, 0);
+    // The self/summon split is only shown for players with summons or pets
+    const hasSummons = data.summons.length > 0;
+    const columns = (total) => [
+        { label: 'Skill', value: (skill) => skill.displayName },
+        { label: 'Total', value: (skill) => formatNumber(skill.totalDamage), numeric: true },
+        { label: '%', value: (skill) => formatPercent(total > 0 ? skill.totalDamage / total : 0), numeric: true },
+        { label: 'Hits', value: (skill) => skill.totalCount, numeric: true },
+        { label: 'Crit', value: (skill) => formatPercent(skill.critRate), numeric: true },
+        { label: 'Lucky', value: (skill) => formatPercent(skill.luckyRate), numeric: true },
+        ...(hasSummons
+            ? [{ label: 'Summons', value: (skill) => formatNumber(skill.summonTotal), numeric: true }]
+            : []),
+        { label: 'Source', value: (skill) => formatSourceBreakdown(skill.sourceBreakdown) },
+    ];
+    const damageColumns = [
+        ...columns(damageTotal),
+        { label: 'Effective', value: (skill) => formatNumber(skill.effective), numeric: true },
+        { label: 'Absorbed', value: (skill) => formatNumber(skill.absorbed), numeric: true },
+    ];
+    const healingColumns = [
+        ...columns(healingTotal),
+        { label: 'Effective', value: (skill) => formatNumber(skill.effective), numeric: true },
+        { label: 'Overheal', value: (skill) => formatPercent(skill.overhealRate), numeric: true },
+    ];
+    const summonColumns = [
+        { label: 'Summon', value: (summon) => summon.name },
+        { label: 'Damage', value: (summon) => formatNumber(summon.damage), numeric: true },
+        { label: '%', value: (summon) => formatPercent(damageTotal > 0 ? summon.damage / damageTotal : 0), numeric: true },
+        { label: 'Healing', value: (summon) => formatNumber(summon.healing), numeric: true },
+        { label: 'Hits', value: (summon) => summon.hits, numeric: true },
+    ];
+    return (
+        renderSourceTable('Damage by Source', data.sources.damage) +
+        renderSourceTable('Healing by Source', data.sources.healing) +
+        renderDetailTable('Damage', damageColumns, skills.filter((skill) => skill.type !== '治疗')) +
+        renderDetailTable('Healing', healingColumns, skills.filter((skill) => skill.type === '治疗')) +
+        (hasSummons ? renderDetailTable('Summons', summonColumns, data.summons) : '')
+    );
+}
+
+function renderTakenDetail(data) {
+    const { total, bySource, bySkill, byElement } = data.taken;
+    const columns = (label) => [
+        { label, value: (entry) => entry.name },
+        { label: 'Total', value: (entry) => formatNumber(entry.total), numeric: true },
+        { label: '%', value: (entry) => formatPercent(total.total > 0 ? entry.total / total.total : 0), numeric: true },
+        { label: 'Hits', value: (entry) => entry.hits, numeric: true },
+        { label: 'Crits', value: (entry) => entry.critHits, numeric: true },
+        { label: 'Largest', value: (entry) => formatNumber(entry.maxHit), numeric: true },
+        { label: 'Effective', value: (entry) => formatNumber(entry.total - entry.absorbed), numeric: true },
+        { label: 'Absorbed', value: (entry) => formatNumber(entry.absorbed), numeric: true },
+    ];
+    return `
+        <div class="detail-summary">
+            ${formatNumber(total.total)} taken in ${total.hits} hits, largest ${formatNumber(total.maxHit)}
+        </div>
+        <div class="detail-summary">
+            ${formatNumber(total.total - total.absorbed)} effective, ${formatNumber(total.absorbed)} absorbed
+            (${formatPercent(total.total > 0 ? total.absorbed / total.total : 0)})
+        </div>
+        ${renderDetailTable('By Attacker', columns('Attacker'), bySource)}
+        ${renderDetailTable('By Skill', columns('Skill'), bySkill)}
+        ${renderDetailTable('By Element', columns('Element'), byElement)}
+    `;
+}
+
+async function loadDetail() {
+    if (detailUid === null) return;
+    const endpoint = detailTab === 'taken' ? 'taken' : 'skill';
+    try {
+        const response = await fetch(`http://${SERVER_URL}/api/${endpoint}/${detailUid}`);
+        const result = await response.json();
+        if (result.code !== 0) {
+            detailContent.innerHTML = `<p>${escapeHtml(result.msg)}</p>`;
+            return;
+        }
+        detailTitle.textContent = result.data.name || `UID ${detailUid}`;
+        detailContent.innerHTML = detailTab === 'taken' ? renderTakenDetail(result.data) : renderSkillDetail(result.data);
+    } catch (error) {
+        console.error('Error loading player details:', error);
+    }
+}
+
+function openDetail(uid) {
+    detailUid = uid;
+    detailTitle.textContent = allUsers[uid] ? allUsers[uid].name : `UID ${uid}`;
+    detailContent.innerHTML = '';
+    detailContainer.classList.remove('hidden');
+    columnsContainer.classList.add('hidden');
+    settingsContainer.classList.add('hidden');
+    helpContainer.classList.add('hidden');
+    loadDetail();
+    clearInterval(detailTimer);
+    detailTimer = setInterval(loadDetail, DETAIL_REFRESH_INTERVAL);
+}
+
+function closeDetail() {
+    detailUid = null;
+    clearInterval(detailTimer);
+    detailTimer = null;
+    detailContainer.classList.add('hidden');
+    columnsContainer.classList.remove('hidden');
+}
+
+function selectDetailTab(tab) {
+    detailTab = tab;
+    document.querySelectorAll('.detail-tab').forEach((button) => {
+        button.classList.toggle('active', button.dataset.tab === tab);
+    });
+    loadDetail();
+}
+
 function initialize() {
     connectWebSocket();
     setInterval(checkConnection, WEBSOCKET_RECONNECT_INTERVAL);
@@ -285,9 +593,11 @@ function toggleSettings() {
         settingsContainer.classList.add('hidden');
         columnsContainer.classList.remove('hidden');
     } else {
+        closeDetail();
         settingsContainer.classList.remove('hidden');
         columnsContainer.classList.add('hidden');
         helpContainer.classList.add('hidden'); // Also hide help
+        loadCaptureDevices();
     }
 }
 
@@ -297,6 +607,7 @@ function toggleHelp() {
         helpContainer.classList.add('hidden');
         columnsContainer.classList.remove('hidden');
     } else {
+        closeDetail();
         helpContainer.classList.remove('hidden');
         columnsContainer.classList.add('hidden');
         settingsContainer.classList.add('hidden'); // Also hide settings
@@ -334,10 +645,107 @@ async function updateFightTimeout(seconds) {
     }
 }
 
+async function loadCaptureDevices() {
+    deviceStatus.textContent = 'Probing interfaces for traffic...';
+    try {
+        const response = await fetch(`http://${SERVER_URL}/api/capture/devices`);
+        const result = await response.json();
+        if (result.code !== 0) {
+            deviceStatus.textContent = result.msg;
+            return;
+        }
+
+        deviceSelect.innerHTML = '';
+        const devices = result.data.sort((a, b) => b.packets - a.packets);
+        if (!devices.some((device) => device.active)) {
+            deviceSelect.appendChild(new Option('-- Select an interface --', ''));
+        }
+        devices.forEach((device) => {
+            const label = `${device.description || device.name}${device.virtual ? ' [virtual]' : ''} - ${device.packets} pkts`;
+            deviceSelect.appendChild(new Option(label, device.name, device.active, device.active));
+        });
+        deviceStatus.textContent = '';
+    } catch (error) {
+        console.error('Error loading capture devices:', error);
+        deviceStatus.textContent = 'Failed to load capture interfaces';
+    }
+}
+
+async function selectCaptureDevice(name) {
+    if (!name) return;
+    try {
+        const response = await fetch(`http://${SERVER_URL}/api/capture/device`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ name }),
+        });
+        const result = await response.json();
+        deviceStatus.textContent = result.msg;
+    } catch (error) {
+        console.error('Error switching capture device:', error);
+        deviceStatus.textContent = 'Failed to switch capture interface';
+    }
+}
+
+async function loadSettings() {
+    try {
+        const response = await fetch(`http://${SERVER_URL}/api/settings`);
+        const result = await response.json();
+        if (result.code === 0) {
+            settingCheckboxes.forEach((checkbox) => {
+                checkbox.checked = !!result.data[checkbox.dataset.setting];
+            });
+            partyWhitelist.value = (result.data.partyWhitelist || []).join(', ');
+            renderTargetFilter(result.data.targetFilter || {});
+        }
+    } catch (error) {
+        console.error('Error loading settings:', error);
+    }
+}
+
+function renderTargetFilter(filter) {
+    targetFilterMode.value = filter.mode || 'all';
+    Object.entries(targetFilterLists).forEach(([key, input]) => {
+        input.value = (filter[key] || []).join(', ');
+    });
+}
+
+function readTargetFilter() {
+    const filter = { mode: targetFilterMode.value };
+    Object.entries(targetFilterLists).forEach(([key, input]) => {
+        const values = input.value
+            .split(',')
+            .map((value) => value.trim())
+            .filter(Boolean);
+        filter[key] = key.endsWith('TemplateIds') ? values.map(Number).filter(Number.isInteger) : values;
+    });
+    return filter;
+}
+
+async function updateSetting(key, value) {
+    try {
+        await fetch(`http://${SERVER_URL}/api/settings`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ [key]: value }),
+        });
+    } catch (error) {
+        console.error(`Error updating setting ${key}:`, error);
+    }
+}
+
 // Fight History Functions
 function toggleHistory() {
-    // Open history window using Electron API
-    window.electronAPI.openHistoryWindow();
+    // Open history window using Electron API, or a new tab when viewed in a browser
+    if (window.electronAPI) {
+        window.electronAPI.openHistoryWindow();
+    } else {
+        window.open('history.html', '_blank');
+    }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -359,6 +767,48 @@ document.addEventListener('DOMContentLoaded', () => {
         updateFightTimeout(parseInt(event.target.value));
     });
 
+    sessionSelect.addEventListener('change', (event) => {
+        selectSession(parseInt(event.target.value));
+    });
+
+    deviceSelect.addEventListener('change', (event) => {
+        selectCaptureDevice(event.target.value);
+    });
+
+    loadSettings();
+    settingCheckboxes.forEach((checkbox) => {
+        checkbox.addEventListener('change', (event) => {
+            updateSetting(checkbox.dataset.setting, event.target.checked);
+        });
+    });
+
+    // Players outside the party are no longer sent, drop the ones already shown
+    document.getElementById('partyOnly').addEventListener('change', () => {
+        allUsers = {};
+        userColors = {};
+        updateAll();
+    });
+
+    partyWhitelist.addEventListener('change', () => {
+        const uids = partyWhitelist.value
+            .split(',')
+            .map((value) => Number(value.trim()))
+            .filter((uid) => Number.isInteger(uid) && uid > 0);
+        updateSetting('partyWhitelist', uids);
+    });
+
+    [targetFilterMode, ...Object.values(targetFilterLists)].forEach((input) => {
+        input.addEventListener('change', () => {
+            updateSetting('targetFilter', readTargetFilter());
+        });
+    });
+
+    // Nothing to close and no passthrough in a browser
+    if (!window.electronAPI) {
+        document.getElementById('closeButton').classList.add('hidden');
+        return;
+    }
+
     // Listen for the passthrough toggle event from the main process
     window.electronAPI.onTogglePassthrough((isIgnoring) => {
         if (isIgnoring) {
@@ -381,6 +831,9 @@ document.addEventListener('DOMContentLoaded', () => {
 window.clearData = clearData;
 window.togglePause = togglePause;
 window.toggleSettings = toggleSettings;
+window.closeDetail = closeDetail;
+window.selectDetailTab = selectDetailTab;
 window.toggleHistory = toggleHistory;
 window.closeClient = closeClient;
 window.toggleHelp = toggleHelp;
+window.loadCaptureDevices = loadCaptureDevices;
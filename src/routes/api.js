@@ -1,8 +1,35 @@
+import cap from 'cap';
 import express from 'express';
-import path from 'path';
 import logger from '../services/Logger.js';
 import { promises as fsPromises } from 'fs';
+import path from 'path';
 import userDataManager from '../services/UserDataManager.js';
+import deathRecap from '../services/DeathRecap.js';
+import bossTracker from '../services/BossTracker.js';
+import { config } from '../config.js';
+import streamRecorder from '../services/StreamRecorder.js';
+import { PacketInterceptor } from '../services/PacketInterceptor.js';
+import { probeDevices } from '../services/NetInterfaceService.js';
+
+// Directories in the data directory the API reads captures from and writes recordings to
+const CAPTURES_DIR = ['logs', 'captures'];
+const RECORDINGS_DIR = ['logs', 'recordings'];
+
+/**
+ * Resolves a file name sent to the API inside one of the data directories. The API is reachable from other
+ * origins and hosts, so only bare file names are accepted, never paths.
+ * @param {string[]} directory Path segments of the directory inside the data directory.
+ * @param {*} name File name from the request.
+ * @returns {string|null} The file path, or null when the name is not a bare file name.
+ */
+function resolveDataFile(directory, name) {
+    if (typeof name !== 'string' || !name || name === '.' || name === '..' || /[/\\]/.test(name)) {
+        return null;
+    }
+    const root = path.resolve(config.getDataPath(...directory));
+    const filePath = path.resolve(root, name);
+    return path.dirname(filePath) === root ? filePath : null;
+}
 
 /**
  * Creates and returns an Express Router instance configured with all API endpoints.
@@ -68,10 +95,56 @@ export function createApiRouter(isPaused, SETTINGS_PATH) {
         });
     });
 
-    // Get skill data for a specific user ID
+    // List the game client sessions seen on the captured connections
+    router.get('/sessions', (req, res) => {
+        res.json({
+            code: 0,
+            data: userDataManager.getSessions(),
+        });
+    });
+
+    // Choose which client's session is recorded and shown
+    router.post('/sessions/select', (req, res) => {
+        const uid = parseInt(req.body.uid);
+        if (!userDataManager.selectSession(uid)) {
+            return res.status(404).json({
+                code: 1,
+                msg: 'Session not found',
+            });
+        }
+        res.json({
+            code: 0,
+            data: userDataManager.getSessions(),
+        });
+    });
+
+    // Get damage per target of the current fight
+    router.get('/targets', (req, res) => {
+        res.json({
+            code: 0,
+            data: userDataManager.getAllTargetsData(),
+        });
+    });
+
+    // Get damage by element of the current fight for each player, the party and each target
+    router.get('/elements', (req, res) => {
+        res.json({
+            code: 0,
+            data: userDataManager.getElementsData(),
+        });
+    });
+
+    // Get skill data for a specific user ID, optionally only against the target given with ?target=
     router.get('/skill/:uid', (req, res) => {
         const uid = parseInt(req.params.uid);
-        const skillData = userDataManager.getUserSkillData(uid);
+        const targetUid = req.query.target !== undefined ? parseInt(req.query.target) : undefined;
+        if (Number.isNaN(targetUid)) {
+            return res.status(400).json({
+                code: 1,
+                msg: 'Invalid target',
+            });
+        }
+        const skillData = userDataManager.getUserSkillData(uid, targetUid);
 
         if (!skillData) {
             return res.status(404).json({
@@ -86,10 +159,62 @@ export function createApiRouter(isPaused, SETTINGS_PATH) {
         });
     });
 
+    // Get the damage a player took, broken down by attacker, skill and element
+    router.get('/taken/:uid', (req, res) => {
+        const uid = parseInt(req.params.uid);
+        const takenData = userDataManager.getUserTakenData(uid);
+
+        if (!takenData) {
+            return res.status(404).json({
+                code: 1,
+                msg: 'User not found',
+            });
+        }
+
+        res.json({
+            code: 0,
+            data: takenData,
+        });
+    });
+
+    // Get buff uptime for a player in the current fight
+    router.get('/buffs/:uid', (req, res) => {
+        const uid = parseInt(req.params.uid);
+        const buffData = userDataManager.getUserBuffData(uid);
+
+        if (!buffData) {
+            return res.status(404).json({
+                code: 1,
+                msg: 'User not found',
+            });
+        }
+
+        res.json({
+            code: 0,
+            data: buffData,
+        });
+    });
+
+    // Get the player deaths of the current fight, or of the fight given with ?fightId=
+    router.get('/deaths', (req, res) => {
+        res.json({
+            code: 0,
+            data: deathRecap.getDeaths(req.query.fightId),
+        });
+    });
+
+    // Get the boss of the current fight with its HP, group DPS and time-to-kill estimate
+    router.get('/boss', (req, res) => {
+        res.json({
+            code: 0,
+            data: bossTracker.getStatus(),
+        });
+    });
+
     // Get history summary for a specific timestamp
     router.get('/history/:timestamp/summary', async (req, res) => {
         const { timestamp } = req.params;
-        const historyFilePath = path.join('./logs', timestamp, 'summary.json');
+        const historyFilePath = config.getDataPath('logs', timestamp, 'summary.json');
 
         try {
             const data = await fsPromises.readFile(historyFilePath, 'utf8');
@@ -118,7 +243,7 @@ export function createApiRouter(isPaused, SETTINGS_PATH) {
     // Get history data for a specific timestamp
     router.get('/history/:timestamp/data', async (req, res) => {
         const { timestamp } = req.params;
-        const historyFilePath = path.join('./logs', timestamp, 'allUserData.json');
+        const historyFilePath = config.getDataPath('logs', timestamp, 'allUserData.json');
 
         try {
             const data = await fsPromises.readFile(historyFilePath, 'utf8');
@@ -147,7 +272,7 @@ export function createApiRouter(isPaused, SETTINGS_PATH) {
     // Get history skill data for a specific timestamp and user
     router.get('/history/:timestamp/skill/:uid', async (req, res) => {
         const { timestamp, uid } = req.params;
-        const historyFilePath = path.join('./logs', timestamp, 'users', `${uid}.json`);
+        const historyFilePath = config.getDataPath('logs', timestamp, 'users', `${uid}.json`);
 
         try {
             const data = await fsPromises.readFile(historyFilePath, 'utf8');
@@ -176,14 +301,14 @@ export function createApiRouter(isPaused, SETTINGS_PATH) {
     // Download historical fight log
     router.get('/history/:timestamp/download', (req, res) => {
         const { timestamp } = req.params;
-        const historyFilePath = path.join('./logs', timestamp, 'fight.log');
+        const historyFilePath = config.getDataPath('logs', timestamp, 'fight.log');
         res.download(historyFilePath, `fight_${timestamp}.log`);
     });
 
     // Get a list of available history timestamps
     router.get('/history/list', async (req, res) => {
         try {
-            const data = (await fsPromises.readdir('./logs', { withFileTypes: true }))
+            const data = (await fsPromises.readdir(config.getDataPath('logs'), { withFileTypes: true }))
                 .filter((e) => e.isDirectory() && /^\d+$/.test(e.name))
                 .map((e) => e.name);
             res.json({
@@ -207,17 +332,260 @@ export function createApiRouter(isPaused, SETTINGS_PATH) {
         }
     });
 
+    // Capture and parser health counters
+    router.get('/capture/stats', (req, res) => {
+        res.json({
+            code: 0,
+            data: PacketInterceptor.getStats(),
+        });
+    });
+
+    // List capture interfaces with the TCP traffic seen on each during a 3 second probe
+    router.get('/capture/devices', async (req, res) => {
+        try {
+            const devices = await probeDevices(cap.deviceList());
+            const active = PacketInterceptor.getCaptureDevice();
+            res.json({
+                code: 0,
+                data: devices.map((device) => ({ ...device, active: !!active && active.name === device.name })),
+            });
+        } catch (error) {
+            logger.error('Failed to list capture devices:', error);
+            res.status(500).json({
+                code: 1,
+                msg: 'Failed to list capture devices',
+            });
+        }
+    });
+
+    // Switch the capture interface at runtime and remember the choice
+    router.post('/capture/device', async (req, res) => {
+        const { name } = req.body;
+        if (!name || typeof name !== 'string') {
+            return res.status(400).json({
+                code: 1,
+                msg: 'Missing capture device name',
+            });
+        }
+
+        try {
+            const device = await PacketInterceptor.switchDevice(name);
+            config.GLOBAL_SETTINGS.captureDevice = device.name;
+            await fsPromises.writeFile(SETTINGS_PATH, JSON.stringify(config.GLOBAL_SETTINGS, null, 2), 'utf8');
+            res.json({
+                code: 0,
+                msg: `Capturing on ${device.description || device.name}`,
+                data: device,
+            });
+        } catch (error) {
+            logger.error('Failed to switch capture device:', error);
+            res.status(500).json({
+                code: 1,
+                msg: `Failed to switch capture device: ${error.message}`,
+            });
+        }
+    });
+
+    // Get the live capture source, a network interface or the mirror listener
+    router.get('/capture/source', (req, res) => {
+        res.json({
+            code: 0,
+            data: PacketInterceptor.getCaptureSource(),
+        });
+    });
+
+    // Receive traffic mirrored from another machine instead of capturing locally
+    router.post('/capture/mirror', async (req, res) => {
+        const { port, host } = req.body || {};
+        const mirrorPort = parseInt(port);
+        if (!Number.isInteger(mirrorPort) || mirrorPort < 1 || mirrorPort > 65535) {
+            return res.status(400).json({
+                code: 1,
+                msg: 'Invalid mirror port',
+            });
+        }
+
+        try {
+            const source = await PacketInterceptor.listenForMirror(mirrorPort, host || undefined);
+            res.json({
+                code: 0,
+                data: source,
+            });
+        } catch (error) {
+            logger.error('Failed to start the mirror listener:', error);
+            res.status(500).json({
+                code: 1,
+                msg: `Failed to start the mirror listener: ${error.message}`,
+            });
+        }
+    });
+
+    // Replay a saved .pcap/.pcapng capture, progress is reported with the replay_progress socket event
+    router.post('/replay', async (req, res) => {
+        const { file, speed = 1 } = req.body;
+        const replaySpeed = Number(speed);
+        const filePath = resolveDataFile(CAPTURES_DIR, file);
+        if (!filePath) {
+            return res.status(400).json({
+                code: 1,
+                msg: `Invalid capture file, use the name of a file in ${path.join(...CAPTURES_DIR)}`,
+            });
+        }
+        if (!Number.isFinite(replaySpeed) || replaySpeed < 0) {
+            return res.status(400).json({
+                code: 1,
+                msg: 'Invalid replay speed. Use 1 for real-time, >1 to accelerate or 0 for as fast as possible.',
+            });
+        }
+        if (PacketInterceptor.isReplaying()) {
+            return res.status(409).json({
+                code: 1,
+                msg: 'A replay is already running',
+            });
+        }
+
+        try {
+            await fsPromises.access(filePath);
+        } catch (error) {
+            logger.warn('Replay file not found:', error);
+            return res.status(404).json({
+                code: 1,
+                msg: 'Replay file not found',
+            });
+        }
+
+        PacketInterceptor.replay(filePath, replaySpeed).catch((error) => {
+            logger.error(`Replay of ${filePath} failed: ${error.message}`);
+        });
+        res.json({
+            code: 0,
+            msg: `Replay started: ${file}`,
+        });
+    });
+
+    // Get replay state
+    router.get('/replay', (req, res) => {
+        res.json({
+            code: 0,
+            data: PacketInterceptor.getReplayStatus(),
+        });
+    });
+
+    // Start recording the reassembled game stream
+    router.post('/recording/start', async (req, res) => {
+        const { file } = req.body || {};
+        const filePath = file === undefined ? undefined : resolveDataFile(RECORDINGS_DIR, file);
+        if (filePath === null) {
+            return res.status(400).json({
+                code: 1,
+                msg: `Invalid recording file, use a file name to save in ${path.join(...RECORDINGS_DIR)}`,
+            });
+        }
+        if (streamRecorder.isRecording()) {
+            return res.status(409).json({
+                code: 1,
+                msg: 'Already recording',
+            });
+        }
+
+        try {
+            const recordingPath = await streamRecorder.start(filePath);
+            res.json({
+                code: 0,
+                msg: `Recording started: ${recordingPath}`,
+                data: streamRecorder.getStatus(),
+            });
+        } catch (error) {
+            logger.error('Failed to start stream recording:', error);
+            res.status(500).json({
+                code: 1,
+                msg: 'Failed to start stream recording',
+            });
+        }
+    });
+
+    // Stop recording the game stream
+    router.post('/recording/stop', async (req, res) => {
+        const status = await streamRecorder.stop();
+        if (!status) {
+            return res.status(409).json({
+                code: 1,
+                msg: 'Not recording',
+            });
+        }
+        res.json({
+            code: 0,
+            msg: `Recording saved: ${status.file}`,
+            data: status,
+        });
+    });
+
+    // Get recording and playback state
+    router.get('/recording', (req, res) => {
+        const replay = PacketInterceptor.getReplayStatus();
+        res.json({
+            code: 0,
+            data: {
+                recorder: streamRecorder.getStatus(),
+                player: replay && replay.source === 'stream' ? replay : null,
+            },
+        });
+    });
+
+    // Play a stream recording back through the parser with its original timing
+    router.post('/recording/play', async (req, res) => {
+        const { file, speed = 1 } = req.body;
+        const playbackSpeed = Number(speed);
+        const filePath = resolveDataFile(RECORDINGS_DIR, file);
+        if (!filePath) {
+            return res.status(400).json({
+                code: 1,
+                msg: `Invalid recording file, use the name of a file in ${path.join(...RECORDINGS_DIR)}`,
+            });
+        }
+        if (!Number.isFinite(playbackSpeed) || playbackSpeed < 0) {
+            return res.status(400).json({
+                code: 1,
+                msg: 'Invalid playback speed. Use 1 for the original timing or 0 for as fast as possible.',
+            });
+        }
+        if (PacketInterceptor.isReplaying()) {
+            return res.status(409).json({
+                code: 1,
+                msg: 'A replay is already running',
+            });
+        }
+
+        try {
+            await fsPromises.access(filePath);
+        } catch (error) {
+            logger.warn('Recording file not found:', error);
+            return res.status(404).json({
+                code: 1,
+                msg: 'Recording file not found',
+            });
+        }
+
+        PacketInterceptor.playRecording(filePath, playbackSpeed).catch((error) => {
+            logger.error(`Playback of ${filePath} failed: ${error.message}`);
+        });
+        res.json({
+            code: 0,
+            msg: `Playback started: ${file}`,
+        });
+    });
+
     // Get current settings
     router.get('/settings', (req, res) => {
-        res.json({ code: 0, data: globalSettings });
+        res.json({ code: 0, data: config.GLOBAL_SETTINGS });
     });
 
     // Update settings
     router.post('/settings', async (req, res) => {
         const newSettings = req.body;
-        globalSettings = { ...globalSettings, ...newSettings };
-        await fsPromises.writeFile(SETTINGS_PATH, JSON.stringify(globalSettings, null, 2), 'utf8');
-        res.json({ code: 0, data: globalSettings });
+        Object.assign(config.GLOBAL_SETTINGS, newSettings);
+        await fsPromises.writeFile(SETTINGS_PATH, JSON.stringify(config.GLOBAL_SETTINGS, null, 2), 'utf8');
+        res.json({ code: 0, data: config.GLOBAL_SETTINGS });
     });
 
     // Fight History API Endpoints
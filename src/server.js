@@ -8,8 +8,14 @@ import { fileURLToPath } from 'url';
 import { createApiRouter } from './routes/api.js';
 import { PacketInterceptor } from './services/PacketInterceptor.js';
 import userDataManager from './services/UserDataManager.js';
+import './services/CombatLog.js';
+import './services/DeathRecap.js';
+import './services/BossTracker.js';
 import socket from './services/Socket.js';
+import streamRecorder from './services/StreamRecorder.js';
 import logger from './services/Logger.js';
+import { config } from './config.js';
+import { DEFAULT_TARGET_FILTER } from './models/TargetFilter.js';
 
 import skillConfig from './tables/skill_names.json' with { type: 'json' };
 
@@ -17,18 +23,47 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const SETTINGS_PATH = path.join(__dirname, 'settings.json');
 let isPaused = false;
-let globalSettings = {
-    autoClearOnServerChange: true,
-    autoClearOnTimeout: false,
-    onlyRecordEliteDummy: false,
+
+const getCliArg = (name) => {
+    const prefix = `${name}=`;
+    const inline = process.argv.find((arg) => arg.startsWith(prefix));
+    if (inline) return inline.slice(prefix.length);
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+// Options of the Electron app, which only supports the capture flags
+const getCliOptions = () => {
+    const replaySpeed = getCliArg('--replay-speed');
+    const mirrorPort = getCliArg('--mirror-port');
+    return {
+        replayFile: getCliArg('--replay'),
+        playRecording: getCliArg('--play-recording'),
+        recordFile: getCliArg('--record'),
+        replaySpeed: replaySpeed !== undefined ? Number(replaySpeed) : 1,
+        mirrorPort: mirrorPort !== undefined ? Number(mirrorPort) : undefined,
+        mirrorHost: getCliArg('--mirror-host'),
+    };
 };
 
 class Server {
-    start = async () =>
+    /**
+     * Starts the web server, socket.io and the capture pipeline.
+     * @param {object} [options] Defaults to the command line flags of the Electron app.
+     * @param {number} [options.port] Port to listen on, the first free port from 8990 when unset.
+     * @param {string} [options.host] Address to bind, all interfaces when unset.
+     * @param {string} [options.settingsPath] Settings file, defaults to src/settings.json.
+     * @param {string} [options.captureDevice] Capture device name or index, overrides the saved device.
+     * @returns {Promise<string>} Resolves with the server URL.
+     * @see PacketInterceptor.start for the capture source options.
+     */
+    start = async (options = getCliOptions()) =>
         new Promise(async (resolve, reject) => {
             try {
                 this.resolve = resolve;
                 this.reject = reject;
+                this.options = options;
+                this.settingsPath = options.settingsPath || SETTINGS_PATH;
 
                 await this._loadGlobalSettings();
 
@@ -36,7 +71,7 @@ class Server {
                 app.use(cors());
                 app.use(express.static(path.join(__dirname, 'public')));
 
-                const apiRouter = createApiRouter(isPaused, SETTINGS_PATH);
+                const apiRouter = createApiRouter(isPaused, this.settingsPath);
                 app.use('/api', apiRouter);
 
                 this.server = http.createServer(app);
@@ -55,17 +90,30 @@ class Server {
             }
         });
 
+    /**
+     * Saves the statistics and the running recording, then stops accepting connections.
+     */
+    stop = async () => {
+        await Promise.all([userDataManager.forceUserCacheSave(), streamRecorder.stop()]);
+        if (this.server && this.server.listening) {
+            const closed = new Promise((resolve) => this.server.close(() => resolve()));
+            this.server.closeAllConnections();
+            await closed;
+        }
+    };
+
     _configureProcessEvents() {
-        process.on('SIGINT', () => {
-            userDataManager.forceUserCacheSave().then(() => {
-                process.exit(0);
-            });
-        });
-        process.on('SIGTERM', () => {
-            userDataManager.forceUserCacheSave().then(() => {
-                process.exit(0);
-            });
-        });
+        let stopping = false;
+        const shutdown = (signal) => {
+            if (stopping) return;
+            stopping = true;
+            logger.info(`${signal} received, saving data and shutting down...`);
+            this.stop()
+                .catch((error) => logger.error(`Error during shutdown: ${error.message}`))
+                .finally(() => process.exit(0));
+        };
+        process.on('SIGINT', () => shutdown('SIGINT'));
+        process.on('SIGTERM', () => shutdown('SIGTERM'));
     }
 
     _configureSocketEmitter() {
@@ -93,22 +141,39 @@ class Server {
                 const s = net.createServer();
                 s.once('error', () => resolve(false));
                 s.once('listening', () => s.close(() => resolve(true)));
-                s.listen(port);
+                s.listen(port, this.options.host);
             });
 
-        let server_port = 8990;
-        while (!(await checkPort(server_port))) {
-            logger.warn(`port ${server_port} is already in use`);
-            server_port++;
+        let server_port = this.options.port;
+        if (server_port) {
+            if (!(await checkPort(server_port))) {
+                return this.reject(new Error(`port ${server_port} is already in use`));
+            }
+        } else {
+            server_port = 8990;
+            while (!(await checkPort(server_port))) {
+                logger.warn(`port ${server_port} is already in use`);
+                server_port++;
+            }
         }
 
-        PacketInterceptor.start(this.server, server_port, this.resolve, this.reject);
+        PacketInterceptor.start(this.server, server_port, this.resolve, this.reject, this.options);
     }
 
     async _loadGlobalSettings() {
         try {
-            const data = await fsPromises.readFile(SETTINGS_PATH, 'utf8');
-            globalSettings = { ...globalSettings, ...JSON.parse(data) };
+            const data = await fsPromises.readFile(this.settingsPath, 'utf8');
+            const settings = JSON.parse(data);
+            if ('onlyRecordEliteDummy' in settings) {
+                // Replaced by targetFilter. The old setting matched a single hardcoded entity uid, the closest
+                // filter is the training dummy name that every dummy in monster_names.json shares
+                if (settings.onlyRecordEliteDummy && !settings.targetFilter) {
+                    settings.targetFilter = { ...DEFAULT_TARGET_FILTER, includeNames: ['木桩'] };
+                    logger.info('Migrated onlyRecordEliteDummy to a targetFilter that records training dummies only');
+                }
+                delete settings.onlyRecordEliteDummy;
+            }
+            Object.assign(config.GLOBAL_SETTINGS, settings);
         } catch (e) {
             if (e.code !== 'ENOENT') {
                 logger.error('Failed to load settings:', e);
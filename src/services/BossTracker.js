@@ -0,0 +1,177 @@
+import combatEvents, { AttrUpdateEvent, DamageEvent, DeathEvent, EntityDisappearEvent } from './CombatEvents.js';
+import userDataManager from './UserDataManager.js';
+import socket from './Socket.js';
+import logger from './Logger.js';
+import { config } from '../config.js';
+
+const UPDATE_INTERVAL = 1000;
+// Group DPS is averaged over this window
+const DPS_WINDOW = 10 * 1000;
+// An enemy no player hit for this long is not in the fight anymore
+const ENGAGE_TIMEOUT = 30 * 1000;
+const HP_THRESHOLDS = [75, 50, 25];
+
+/**
+ * Follows the primary enemy of the fight, the one with the most max HP that players are hitting,
+ * and estimates when it dies from the recent group DPS against it.
+ */
+class BossTracker {
+    constructor() {
+        this.lastHitTimes = new Map(); // enemy uid -> last time a player hit it
+        this.boss = null;
+
+        // The boss is picked before the meter records the hit, so the target filter can keep boss damage only
+        combatEvents.subscribe(DamageEvent, (event) => this._onDamage(event), { prepend: true });
+        combatEvents.subscribe(AttrUpdateEvent, (event) => this._onAttrUpdate(event));
+        combatEvents.subscribe(DeathEvent, (event) => this._onGone(event, 'died'));
+        combatEvents.subscribe(EntityDisappearEvent, (event) => this._onGone(event, 'left'));
+
+        setInterval(() => this._update(), UPDATE_INTERVAL);
+    }
+
+    _isRecording() {
+        return !config.IS_PAUSED && userDataManager.isRecordingSession();
+    }
+
+    _onDamage(event) {
+        if (event.isTargetPlayer || !event.isAttackerPlayer || !this._isRecording()) return;
+        this.lastHitTimes.set(event.targetUid, event.timestamp);
+        if (!this.boss || this.boss.uid !== event.targetUid) {
+            this._selectBoss(event.timestamp);
+        }
+        if (this.boss && this.boss.uid === event.targetUid) {
+            this.boss.hits.push({ time: event.timestamp, value: event.value });
+        }
+    }
+
+    _onAttrUpdate(event) {
+        if (event.isPlayer || !this.boss || this.boss.uid !== event.uid) return;
+        switch (event.attr) {
+            case 'name':
+                this.boss.name = event.value;
+                break;
+            case 'max_hp':
+                this.boss.maxHp = event.value;
+                break;
+            case 'hp':
+                this.boss.hp = event.value;
+                this._checkThresholds(event.timestamp);
+                break;
+        }
+    }
+
+    _onGone(event, reason) {
+        this.lastHitTimes.delete(event.uid);
+        if (!this.boss || this.boss.uid !== event.uid) return;
+        if (reason === 'died') {
+            // The last update shows the kill until the next boss is engaged
+            this.boss.hp = 0;
+            this.boss.diedAt = event.timestamp;
+            this._checkThresholds(event.timestamp);
+            const status = this.getStatus(event.timestamp);
+            logger.info(`Boss ${status.name} died after ${Math.round(status.elapsed / 1000)}s`);
+            socket.emit('boss_update', status);
+        } else {
+            socket.emit('boss_update', null);
+        }
+        this._setBoss(null);
+    }
+
+    // Picks the enemy with the most max HP among the ones players hit recently
+    _selectBoss(now) {
+        let best = null;
+        let bestMaxHp = 0;
+        for (const [uid, lastHit] of this.lastHitTimes) {
+            if (now - lastHit > ENGAGE_TIMEOUT) {
+                this.lastHitTimes.delete(uid);
+                continue;
+            }
+            const maxHp = userDataManager.enemyCache.maxHp.get(uid) || 0;
+            if (maxHp > bestMaxHp) {
+                best = uid;
+                bestMaxHp = maxHp;
+            }
+        }
+        if (best === null || (this.boss && this.boss.uid === best)) return;
+        if (this.boss && (userDataManager.enemyCache.maxHp.get(this.boss.uid) || 0) >= bestMaxHp) return;
+
+        // Copied because the enemy cache entry is removed when the enemy dies
+        this._setBoss({
+            uid: best,
+            name: userDataManager.enemyCache.name.get(best) || `#${best}`,
+            hp: userDataManager.enemyCache.hp.get(best) ?? null,
+            maxHp: bestMaxHp,
+            engagedAt: now,
+            diedAt: null,
+            hits: [],
+            thresholds: [],
+        });
+        logger.info(`Tracking boss ${this.boss.name} (${bestMaxHp} HP)`);
+    }
+
+    _setBoss(boss) {
+        this.boss = boss;
+        userDataManager.setBossUid(boss ? boss.uid : null);
+    }
+
+    _checkThresholds(now) {
+        const { hp, maxHp } = this.boss;
+        if (hp === null || !maxHp) return;
+        const percent = (hp / maxHp) * 100;
+        for (const threshold of HP_THRESHOLDS) {
+            if (percent <= threshold && !this.boss.thresholds.some((entry) => entry.percent === threshold)) {
+                this.boss.thresholds.push({ percent: threshold, time: now, elapsed: now - this.boss.engagedAt });
+            }
+        }
+    }
+
+    _update() {
+        const now = Date.now();
+        if (this.boss && now - (this.lastHitTimes.get(this.boss.uid) || 0) > ENGAGE_TIMEOUT) {
+            this._setBoss(null);
+            socket.emit('boss_update', null);
+        }
+        if (this.boss) {
+            this._emit(now);
+        }
+    }
+
+    _emit(now = Date.now()) {
+        socket.emit('boss_update', this.getStatus(now));
+    }
+
+    /**
+     * @param {number} [now]
+     * @returns {object|null} The tracked boss, null while there is none.
+     */
+    getStatus(now = Date.now()) {
+        if (!this.boss) return null;
+        const boss = this.boss;
+        while (boss.hits.length > 0 && now - boss.hits[0].time > DPS_WINDOW) {
+            boss.hits.shift();
+        }
+
+        const { hp, maxHp } = boss;
+        const recentDamage = boss.hits.reduce((sum, hit) => sum + hit.value, 0);
+        // Average over the time actually spent in the fight during the first seconds
+        const window = Math.max(1000, Math.min(DPS_WINDOW, now - boss.engagedAt));
+        const dps = (recentDamage / window) * 1000;
+
+        return {
+            uid: boss.uid,
+            name: boss.name,
+            hp,
+            maxHp,
+            hpPercent: hp !== null && maxHp ? (hp / maxHp) * 100 : null,
+            dps,
+            timeToKill: hp !== null && dps > 0 ? hp / dps : null,
+            engagedAt: boss.engagedAt,
+            elapsed: (boss.diedAt || now) - boss.engagedAt,
+            dead: boss.diedAt !== null,
+            thresholds: boss.thresholds,
+        };
+    }
+}
+
+const bossTracker = new BossTracker();
+export default bossTracker;
@@ -0,0 +1,293 @@
+import cap from 'cap';
+import fs from 'fs';
+import net from 'net';
+import logger from './Logger.js';
+import socket from './Socket.js';
+
+import { CAPTURE_FILTER } from './NetInterfaceService.js';
+import { LinkType, PcapParser } from '../models/PcapParser.js';
+import { StreamRecordingParser } from '../models/StreamRecordingParser.js';
+
+const Cap = cap.Cap;
+
+const PROGRESS_INTERVAL = 500;
+
+// Link type names reported by cap.open
+const CAP_LINK_TYPES = {
+    ETHERNET: LinkType.ETHERNET,
+    NULL: LinkType.NULL,
+    RAW: LinkType.RAW,
+    LINUX_SLL: LinkType.LINUX_SLL,
+    LINKTYPE_LINUX_SLL: LinkType.LINUX_SLL,
+};
+
+/**
+ * Receives the data of a capture source. Sources that read ahead of real-time await the returned promises.
+ * @typedef {object} CaptureSink
+ * @property {(linkType: number, data: Buffer) => (Promise<void>|void)} pushFrame Link layer frame, see LinkType.
+ * @property {(key: string, payload: Buffer) => (Promise<void>|void)} pushGamePacket Already reassembled game packet.
+ */
+
+/**
+ * Captures live frames from a libpcap device.
+ */
+export class LiveDeviceSource {
+    /**
+     * @param {{name: string, description?: string}} device A device from cap.deviceList().
+     */
+    constructor(device) {
+        this.type = 'device';
+        this.name = device.name;
+        this.description = device.description || '';
+        this.cap = null;
+    }
+
+    /**
+     * Opens the device, frames are pushed as they arrive.
+     * @param {CaptureSink} sink
+     */
+    async start(sink) {
+        const c = new Cap();
+        const buffer = Buffer.alloc(65535);
+        const linkTypeName = c.open(this.name, CAPTURE_FILTER, 10 * 1024 * 1024, buffer);
+        const linkType = CAP_LINK_TYPES[linkTypeName];
+        if (linkType === undefined) {
+            c.close();
+            throw new Error(`Unsupported link type ${linkTypeName} on ${this.name}`);
+        }
+        c.setMinBytes && c.setMinBytes(0);
+        c.on('packet', (nbytes) => {
+            sink.pushFrame(linkType, Buffer.from(buffer.subarray(0, nbytes)));
+        });
+        this.cap = c;
+    }
+
+    stop() {
+        if (!this.cap) return;
+        try {
+            this.cap.close();
+        } catch (e) {
+            logger.warn(`Error closing capture device ${this.name}: ${e.message}`);
+        }
+        this.cap = null;
+    }
+
+    getStatus() {
+        return { type: this.type, name: this.name, description: this.description };
+    }
+}
+
+/**
+ * Accepts traffic mirrored from another machine as a pcap stream over TCP,
+ * e.g. `tcpdump -i eth0 -U -w - tcp | nc <meter host> <port>`.
+ * Every connection is parsed on its own, so several senders can be connected at once.
+ */
+export class TcpMirrorSource {
+    /**
+     * @param {number} port Port to listen on.
+     * @param {string} [host='0.0.0.0'] Address to bind.
+     */
+    constructor(port, host = '0.0.0.0') {
+        this.type = 'mirror';
+        this.port = port;
+        this.host = host;
+        this.server = null;
+        this.clients = new Set();
+    }
+
+    /**
+     * Starts listening, frames are pushed as they arrive.
+     * @param {CaptureSink} sink
+     */
+    start(sink) {
+        return new Promise((resolve, reject) => {
+            const server = net.createServer((conn) => this._accept(conn, sink));
+            server.once('error', reject);
+            server.listen(this.port, this.host, () => {
+                server.off('error', reject);
+                server.on('error', (error) => logger.error(`Mirror listener error: ${error.message}`));
+                this.server = server;
+                logger.info(`Waiting for mirrored traffic on ${this.host}:${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    _accept(conn, sink) {
+        const peer = `${conn.remoteAddress}:${conn.remotePort}`;
+        const parser = new PcapParser();
+        this.clients.add(conn);
+        logger.info(`Mirrored traffic sender connected: ${peer}`);
+
+        conn.on('data', (chunk) => {
+            try {
+                for (const frame of parser.push(chunk)) {
+                    sink.pushFrame(frame.linkType, frame.data);
+                }
+            } catch (error) {
+                logger.warn(`Dropping mirror connection ${peer}: ${error.message}`);
+                conn.destroy();
+            }
+        });
+        conn.on('error', (error) => logger.warn(`Mirror connection ${peer} error: ${error.message}`));
+        conn.on('close', () => {
+            this.clients.delete(conn);
+            logger.info(`Mirrored traffic sender disconnected: ${peer}`);
+        });
+    }
+
+    stop() {
+        for (const conn of this.clients) {
+            conn.destroy();
+        }
+        this.clients.clear();
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    getStatus() {
+        return { type: this.type, host: this.host, port: this.port, clients: this.clients.size };
+    }
+}
+
+/**
+ * Reads timestamped records from a file and pushes them with their original timing.
+ * Subclasses provide the parser and decide how a record is handed to the sink.
+ */
+class FileSource {
+    /**
+     * @param {string} type Source name reported in the replay_progress event.
+     * @param {string} filePath
+     * @param {number} [speed=1] Speed multiplier, 1 is real-time and 0 reads as fast as possible.
+     */
+    constructor(type, filePath, speed = 1) {
+        if (!Number.isFinite(speed) || speed < 0) {
+            throw new Error(`Invalid replay speed: ${speed}`);
+        }
+        this.type = type;
+        this.file = filePath;
+        this.speed = speed;
+        this.state = { status: 'pending', frames: 0, bytesRead: 0, totalBytes: 0 };
+        this.stopped = false;
+    }
+
+    isRunning() {
+        return this.state.status === 'pending' || this.state.status === 'running';
+    }
+
+    /**
+     * Reads the whole file.
+     * @param {CaptureSink} sink
+     * @returns {Promise<number>} Resolves with the number of records pushed.
+     */
+    async start(sink) {
+        this.state.status = 'running';
+        let firstTimestamp = null;
+        let startTime = 0;
+        let lastProgressTime = 0;
+
+        try {
+            const { size } = await fs.promises.stat(this.file);
+            this.state.totalBytes = size;
+            logger.info(
+                `Replaying ${this.file} (${size} bytes) at ${this.speed === 0 ? 'max' : this.speed + 'x'} speed`
+            );
+            this._emitProgress();
+
+            for await (const chunk of fs.createReadStream(this.file)) {
+                if (this.stopped) break;
+                this.state.bytesRead += chunk.length;
+                for (const record of this._parse(chunk)) {
+                    if (firstTimestamp === null) {
+                        firstTimestamp = record.timestamp;
+                        startTime = Date.now();
+                    }
+                    if (this.speed > 0) {
+                        const delay = startTime + (record.timestamp - firstTimestamp) / this.speed - Date.now();
+                        if (delay > 0) {
+                            await new Promise((r) => setTimeout(r, delay));
+                        }
+                    } else if (this.state.frames % 1000 === 0) {
+                        // Let the web server breathe during fast replays
+                        await new Promise((r) => setImmediate(r));
+                    }
+
+                    await this._deliver(record, sink);
+                    this.state.frames++;
+
+                    if (Date.now() - lastProgressTime > PROGRESS_INTERVAL) {
+                        lastProgressTime = Date.now();
+                        this._emitProgress();
+                    }
+                }
+            }
+            this.state.status = this.stopped ? 'stopped' : 'done';
+            logger.info(`Replay of ${this.file} finished, ${this.state.frames} records processed`);
+            return this.state.frames;
+        } catch (error) {
+            this.state.status = 'error';
+            this.state.error = error.message;
+            throw error;
+        } finally {
+            this._emitProgress();
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    getStatus() {
+        const { status, frames, bytesRead, totalBytes, error } = this.state;
+        const progress = totalBytes > 0 ? Math.min(1, bytesRead / totalBytes) : 0;
+        return { source: this.type, file: this.file, speed: this.speed, status, frames, progress, error };
+    }
+
+    _emitProgress() {
+        try {
+            socket.emit('replay_progress', this.getStatus());
+        } catch (e) {
+            // Socket is not initialized when replaying without the web server
+        }
+    }
+}
+
+/**
+ * Replays a saved .pcap/.pcapng capture, frames take the same path as live ones.
+ */
+export class PcapFileSource extends FileSource {
+    constructor(filePath, speed = 1) {
+        super('pcap', filePath, speed);
+        this.parser = new PcapParser();
+    }
+
+    _parse(chunk) {
+        return this.parser.push(chunk);
+    }
+
+    _deliver(frame, sink) {
+        return sink.pushFrame(frame.linkType, frame.data);
+    }
+}
+
+/**
+ * Plays a game stream recording (see StreamRecorder), which skips the capture and reassembly stages.
+ */
+export class StreamFileSource extends FileSource {
+    constructor(filePath, speed = 1) {
+        super('stream', filePath, speed);
+        this.parser = new StreamRecordingParser();
+    }
+
+    _parse(chunk) {
+        return this.parser.push(chunk);
+    }
+
+    _deliver(record, sink) {
+        // Each recorded connection gets its own processor, version 1 recordings hold a single one
+        const key = record.flowKey === null ? `recording:${this.file}` : `recording:${this.file}:${record.flowKey}`;
+        return sink.pushGamePacket(key, record.payload);
+    }
+}
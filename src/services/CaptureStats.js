@@ -0,0 +1,94 @@
+// Counters that indicate data loss, compared against the previous sample to rate the capture health
+const LOSS_COUNTERS = ['sequenceGaps', 'invalidLengthDiscards', 'malformedFrames', 'zstdFailures', 'decodeErrors'];
+const HEALTH_WINDOW = 30000;
+const SAMPLE_INTERVAL = 1000;
+const QUEUE_BACKLOG_WARNING = 5000;
+
+const createCounters = () => ({
+    framesSeen: 0,
+    bytesReassembled: 0,
+    sequenceGaps: 0,
+    gapBytes: 0,
+    invalidLengthDiscards: 0,
+    malformedFrames: 0,
+    zstdFailures: 0,
+    decodeErrors: 0,
+});
+
+/**
+ * Health counters of the capture pipeline and the packet parser.
+ * They tell a quiet fight apart from a capture that is losing data.
+ */
+class CaptureStats {
+    constructor() {
+        this.reset();
+        // Sampled on a timer, so the health window does not depend on how often the stats are polled
+        setInterval(() => this._sample(Date.now()), SAMPLE_INTERVAL);
+    }
+
+    /** Clears the counters, e.g. when the capture source changes. */
+    reset() {
+        this.counters = createCounters();
+        this.decodeErrorsByMethod = {};
+        this.startTime = Date.now();
+        this.samples = [];
+        this._sample(this.startTime);
+    }
+
+    _sample(now) {
+        this.samples.push({ time: now, ...this.counters });
+        // Keep the newest sample that is at least HEALTH_WINDOW old as the baseline
+        while (this.samples.length > 1 && now - this.samples[1].time >= HEALTH_WINDOW) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Adds to one of the counters.
+     * @param {string} name Counter name, e.g. 'framesSeen'.
+     * @param {number} [amount=1]
+     */
+    increment(name, amount = 1) {
+        this.counters[name] += amount;
+    }
+
+    /**
+     * Counts an exception thrown while decoding a notify message.
+     * @param {string} method Name of the notify method.
+     */
+    recordDecodeError(method) {
+        this.counters.decodeErrors++;
+        this.decodeErrorsByMethod[method] = (this.decodeErrorsByMethod[method] || 0) + 1;
+    }
+
+    /**
+     * Returns the counters together with a health rating of the last 30 seconds.
+     * @param {object} [pipeline] Live pipeline state merged into the result.
+     * @param {number} [pipeline.framesQueued] Frames waiting in the capture queue.
+     * @returns {object}
+     */
+    getStats(pipeline = {}) {
+        const now = Date.now();
+        const oldest = this.samples[0];
+
+        const recentLoss = LOSS_COUNTERS.reduce((sum, name) => sum + this.counters[name] - oldest[name], 0);
+        const recentFrames = this.counters.framesSeen - oldest.framesSeen;
+        let health = 'ok';
+        if (recentLoss > 0 || (pipeline.framesQueued || 0) > QUEUE_BACKLOG_WARNING) {
+            health = 'degraded';
+        } else if (recentFrames === 0) {
+            health = 'idle';
+        }
+
+        return {
+            ...this.counters,
+            ...pipeline,
+            decodeErrorsByMethod: { ...this.decodeErrorsByMethod },
+            health,
+            uptime: now - this.startTime,
+        };
+    }
+}
+
+const captureStats = new CaptureStats();
+export default captureStats;
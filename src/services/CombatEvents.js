@@ -0,0 +1,220 @@
+import { EventEmitter } from 'events';
+
+export const EDamageSource = {
+    EDamageSourceSkill: 0,
+    EDamageSourceBullet: 1,
+    EDamageSourceBuff: 2,
+    EDamageSourceFall: 3,
+    EDamageSourceFakeBullet: 4,
+    EDamageSourceOther: 100,
+};
+
+export const getDamageSource = (damageSource) => {
+    switch (damageSource) {
+        case EDamageSource.EDamageSourceSkill:
+            return 'Skill';
+        case EDamageSource.EDamageSourceBullet:
+            return 'Bullet';
+        case EDamageSource.EDamageSourceBuff:
+            return 'Buff';
+        case EDamageSource.EDamageSourceFall:
+            return 'Fall';
+        case EDamageSource.EDamageSourceFakeBullet:
+            return 'FBullet';
+        case EDamageSource.EDamageSourceOther:
+            return 'Other';
+        default:
+            return 'Unknown';
+    }
+};
+
+/**
+ * A hit or a heal decoded from a SyncDamageInfo.
+ */
+class CombatHitEvent {
+    /**
+     * @param {object} data
+     * @param {number} data.attackerUid UID of the attacker, summons are attributed to their summoner.
+     * @param {boolean} data.isAttackerPlayer
+     * @param {number} data.directAttackerUid UID of the entity that dealt the hit, the summon itself for summons.
+     * @param {boolean} data.isSummon Whether the hit came from a summon or pet of the attacker.
+     * @param {number} data.targetUid
+     * @param {boolean} data.isTargetPlayer
+     * @param {number} data.skillId
+     * @param {string} data.element Element label, e.g. '🔥火'.
+     * @param {number} data.property Raw EDamageProperty of the hit.
+     * @param {number} data.value Damage or heal amount.
+     * @param {number} data.hpLessen HP actually removed from the target.
+     * @param {boolean} data.isCrit
+     * @param {boolean} data.isLucky
+     * @param {boolean} data.isCauseLucky
+     * @param {boolean} data.isDead Whether the hit killed the target.
+     * @param {number} data.source EDamageSource of the hit.
+     * @param {number|null} data.targetHp HP of a player target right before the hit, null for enemies or when unknown.
+     */
+    constructor(data) {
+        Object.assign(this, data);
+        this.timestamp = Date.now();
+    }
+}
+
+export class DamageEvent extends CombatHitEvent {
+    static type = 'damage';
+}
+
+export class HealEvent extends CombatHitEvent {
+    static type = 'heal';
+}
+
+/**
+ * An entity came into view, emitted after its attributes were published.
+ */
+export class EntityAppearEvent {
+    static type = 'entity_appear';
+
+    /**
+     * @param {object} data
+     * @param {number} data.uid
+     * @param {boolean} data.isPlayer
+     * @param {number} data.entityType Raw EEntityType.
+     */
+    constructor(data) {
+        Object.assign(this, data);
+        this.timestamp = Date.now();
+    }
+}
+
+/**
+ * An entity left the view, because it walked out of range, despawned or the local player changed scene.
+ */
+export class EntityDisappearEvent {
+    static type = 'entity_disappear';
+
+    /**
+     * @param {object} data
+     * @param {number} data.uid
+     * @param {boolean} data.isPlayer
+     * @param {number} data.reason Raw disappear type reported by the server.
+     */
+    constructor(data) {
+        Object.assign(this, data);
+        this.timestamp = Date.now();
+    }
+}
+
+/**
+ * A buff or debuff was added to an entity, or the stacks of an active one changed.
+ */
+export class BuffApplyEvent {
+    static type = 'buff_apply';
+
+    /**
+     * @param {object} data
+     * @param {number} data.uid UID of the entity carrying the buff.
+     * @param {boolean} data.isPlayer
+     * @param {number} data.buffUuid Instance id of the buff.
+     * @param {number} data.buffId Buff table id.
+     * @param {number} data.stacks
+     * @param {number} data.sourceUid UID of the caster, 0 if unknown.
+     * @param {boolean} data.isSourcePlayer
+     * @param {number} data.duration Duration in milliseconds, 0 if permanent.
+     */
+    constructor(data) {
+        Object.assign(this, data);
+        this.timestamp = Date.now();
+    }
+}
+
+/**
+ * A buff or debuff expired or was removed from an entity.
+ */
+export class BuffRemoveEvent {
+    static type = 'buff_remove';
+
+    /**
+     * @param {object} data
+     * @param {number} data.uid UID of the entity carrying the buff.
+     * @param {boolean} data.isPlayer
+     * @param {number} data.buffUuid Instance id of the buff.
+     */
+    constructor(data) {
+        Object.assign(this, data);
+        this.timestamp = Date.now();
+    }
+}
+
+/**
+ * An attribute of a player or an enemy changed.
+ */
+export class AttrUpdateEvent {
+    static type = 'attr_update';
+
+    /**
+     * @param {object} data
+     * @param {number} data.uid
+     * @param {boolean} data.isPlayer
+     * @param {string} data.attr Attribute name, e.g. 'name', 'profession', 'hp' or 'max_hp'.
+     * @param {*} data.value
+     */
+    constructor(data) {
+        Object.assign(this, data);
+        this.timestamp = Date.now();
+    }
+}
+
+/**
+ * A player or an enemy died.
+ */
+export class DeathEvent {
+    static type = 'death';
+
+    /**
+     * @param {object} data
+     * @param {number} data.uid
+     * @param {boolean} data.isPlayer
+     * @param {number} data.killerUid
+     * @param {number} data.skillId Skill of the killing blow.
+     */
+    constructor(data) {
+        Object.assign(this, data);
+        this.timestamp = Date.now();
+    }
+}
+
+/**
+ * Combat data decoded by the PacketProcessor. Subscribe with the event class:
+ * `combatEvents.subscribe(DamageEvent, (event) => ...)`.
+ */
+class CombatEventBus extends EventEmitter {
+    constructor() {
+        super();
+        // Every consumer adds its own listeners
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * @param {object} event An instance of one of the event classes.
+     */
+    publish(event) {
+        this.emit(event.constructor.type, event);
+    }
+
+    /**
+     * @param {Function} EventClass The event class to listen for.
+     * @param {(event: object) => void} listener
+     * @param {object} [options]
+     * @param {boolean} [options.prepend] Run before the listeners added so far, for state other consumers read.
+     * @returns {() => void} Removes the listener.
+     */
+    subscribe(EventClass, listener, { prepend = false } = {}) {
+        if (prepend) {
+            this.prependListener(EventClass.type, listener);
+        } else {
+            this.on(EventClass.type, listener);
+        }
+        return () => this.off(EventClass.type, listener);
+    }
+}
+
+const combatEvents = new CombatEventBus();
+export default combatEvents;
@@ -0,0 +1,57 @@
+import combatEvents, { DamageEvent, HealEvent, getDamageSource } from './CombatEvents.js';
+import userDataManager from './UserDataManager.js';
+
+const describeEntity = (uid, isPlayer) => {
+    let name = '';
+    if (isPlayer) {
+        const user = userDataManager.getUser(uid);
+        if (user.name) {
+            name += user.name;
+        }
+        return `${name}#${uid}(player)`;
+    }
+    if (userDataManager.enemyCache.name.has(uid)) {
+        name += userDataManager.enemyCache.name.get(uid);
+    }
+    return `${name}#${uid}(enemy)`;
+};
+
+/**
+ * Formats a hit as a line of the fight log.
+ * @param {DamageEvent|HealEvent} event
+ * @returns {string}
+ */
+export const formatCombatLog = (event) => {
+    const extra = [];
+    if (event.isCrit) {
+        extra.push('Crit');
+    }
+    if (event.isLucky) {
+        extra.push('Lucky');
+    }
+    if (event.isCauseLucky) {
+        extra.push('CauseLucky');
+    }
+    if (extra.length === 0) {
+        extra.push('Normal');
+    }
+
+    const actionType = event instanceof HealEvent ? 'HEAL' : 'DMG';
+    const attacker = describeEntity(event.attackerUid, event.isAttackerPlayer);
+    const target = describeEntity(event.targetUid, event.isTargetPlayer);
+    return `[${actionType}] DS: ${getDamageSource(event.source)} SRC: ${attacker} TGT: ${target} ID: ${event.skillId} VAL: ${event.value} HPLSN: ${event.hpLessen} ELEM: ${event.element.slice(-1)} EXT: ${extra.join('|')}`;
+};
+
+/**
+ * Writes every hit and heal to the fight log of the current session.
+ */
+class CombatLog {
+    constructor() {
+        const log = (event) => userDataManager.addLog(formatCombatLog(event));
+        combatEvents.subscribe(DamageEvent, log);
+        combatEvents.subscribe(HealEvent, log);
+    }
+}
+
+const combatLog = new CombatLog();
+export default combatLog;
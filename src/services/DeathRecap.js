@@ -0,0 +1,135 @@
+import combatEvents, { DamageEvent, DeathEvent, HealEvent } from './CombatEvents.js';
+import fightHistoryManager from './FightHistoryManager.js';
+import userDataManager from './UserDataManager.js';
+import socket from './Socket.js';
+import logger from './Logger.js';
+import { config } from '../config.js';
+import skill_names from '../tables/skill_names.json' with { type: 'json' };
+
+const skillConfig = skill_names.skill_names;
+
+// Incoming hits and heals kept per player, and how much of them a death record keeps
+const RECAP_WINDOW = 10 * 1000;
+const MAX_RECENT_EVENTS = 100;
+// Deaths kept for the current fight, older fights have theirs in the fight history
+const MAX_DEATHS = 200;
+
+const getSkillName = (skillId) => skillConfig[skillId % 1000000000] ?? String(skillId);
+
+/**
+ * Keeps the recent incoming damage and heals of every player and freezes them into a death record when the player dies.
+ */
+class DeathRecap {
+    constructor() {
+        this.recentEvents = new Map(); // uid -> [{ time, type, sourceUid, ... }]
+        this.deaths = [];
+        this.nextId = 1;
+
+        combatEvents.subscribe(DamageEvent, (event) => this._record(event, 'damage'));
+        combatEvents.subscribe(HealEvent, (event) => this._record(event, 'heal'));
+        combatEvents.subscribe(DeathEvent, (event) => this._onDeath(event));
+    }
+
+    _isRecording() {
+        return !config.IS_PAUSED && userDataManager.isRecordingSession();
+    }
+
+    _record(event, type) {
+        if (!event.isTargetPlayer || !this._isRecording()) return;
+        if (!this.recentEvents.has(event.targetUid)) {
+            this.recentEvents.set(event.targetUid, []);
+        }
+        const events = this.recentEvents.get(event.targetUid);
+        const user = userDataManager.users.get(event.targetUid);
+        const maxHp = (user && user.attr.max_hp) ?? null;
+        events.push({
+            time: event.timestamp,
+            type,
+            sourceUid: event.attackerUid,
+            isSourcePlayer: event.isAttackerPlayer,
+            skillId: event.skillId,
+            element: event.element,
+            value: event.value,
+            hpLessen: event.hpLessen,
+            isCrit: event.isCrit,
+            isLucky: event.isLucky,
+            hpAfter: event.isDead ? 0 : this._getHpAfter(event, type, maxHp),
+            maxHp,
+        });
+        while (
+            events.length > MAX_RECENT_EVENTS ||
+            (events.length && event.timestamp - events[0].time > RECAP_WINDOW)
+        ) {
+            events.shift();
+        }
+    }
+
+    // targetHp is the HP before this hit, stepped through the hits of its AoiSyncDelta
+    _getHpAfter(event, type, maxHp) {
+        if (event.targetHp == null) return null;
+        if (type === 'heal') {
+            return Math.min(maxHp ?? Infinity, event.targetHp + event.value);
+        }
+        return Math.max(0, event.targetHp - event.hpLessen);
+    }
+
+    _onDeath(event) {
+        if (!event.isPlayer || !this._isRecording()) return;
+        const events = (this.recentEvents.get(event.uid) || []).filter(
+            (entry) => event.timestamp - entry.time <= RECAP_WINDOW
+        );
+        this.recentEvents.delete(event.uid);
+
+        const user = userDataManager.users.get(event.uid);
+        const killingBlow = events.findLast((entry) => entry.type === 'damage');
+        const death = {
+            id: this.nextId++,
+            fightId: fightHistoryManager.currentFightId,
+            uid: event.uid,
+            name: (user && user.name) || '',
+            profession: (user && user.profession) || '',
+            time: event.timestamp,
+            killerUid: event.killerUid,
+            killerName: killingBlow
+                ? userDataManager.getEntityName(killingBlow.sourceUid, killingBlow.isSourcePlayer)
+                : '',
+            skillId: event.skillId,
+            skillName: getSkillName(event.skillId),
+            events: events.map((entry) => ({
+                ...entry,
+                offset: entry.time - event.timestamp,
+                sourceName: userDataManager.getEntityName(entry.sourceUid, entry.isSourcePlayer),
+                skillName: getSkillName(entry.skillId),
+            })),
+        };
+
+        if (this.deaths.length && this.deaths[this.deaths.length - 1].fightId !== death.fightId) {
+            this.deaths = [];
+        }
+        this.deaths.push(death);
+        if (this.deaths.length > MAX_DEATHS) {
+            this.deaths.shift();
+        }
+        fightHistoryManager.recordDeath(death);
+        socket.emit('player_death', death);
+        logger.info(`${death.name || death.uid} was killed by ${death.killerName} with ${death.skillName}`);
+    }
+
+    /**
+     * Deaths of a fight, the current or last fight by default.
+     * @param {string} [fightId]
+     * @returns {object[]}
+     */
+    getDeaths(fightId) {
+        if (fightId) {
+            const fight = fightHistoryManager.getFightData(fightId);
+            return (fight && fight.deaths) || [];
+        }
+        const lastDeath = this.deaths[this.deaths.length - 1];
+        const currentFightId = fightHistoryManager.currentFightId || (lastDeath && lastDeath.fightId);
+        return this.deaths.filter((death) => death.fightId === currentFightId);
+    }
+}
+
+const deathRecap = new DeathRecap();
+export default deathRecap;
@@ -1,5 +1,6 @@
 import { Lock } from '../models/Lock.js';
 import logger from './Logger.js';
+import { config } from '../config.js';
 import fsPromises from 'fs/promises';
 import path from 'path';
 
@@ -82,6 +83,7 @@ class FightHistoryManager {
                 totalDamage: 0,
                 totalHealing: 0,
                 userStats: new Map(), // Will store user data snapshots
+                deaths: [],
                 isActive: true
             });
             
@@ -167,8 +169,9 @@ class FightHistoryManager {
     /**
      * Save a snapshot of current user data to the active fight
      * @param {Map} userData - Current user data map
+     * @param {Object} [elementStats] - Damage by element for the players, the party and the targets
      */
-    saveUserDataSnapshot(userData) {
+    saveUserDataSnapshot(userData, elementStats) {
         if (!this.currentFightId) return;
         
         const fight = this.fights.get(this.currentFightId);
@@ -176,7 +179,9 @@ class FightHistoryManager {
         
         // Convert Map to plain object for storage
         const userSnapshot = {};
+        const buffSnapshot = {};
         for (const [uid, user] of userData.entries()) {
+            buffSnapshot[uid] = user.getBuffSummary();
             const summary = user.getSummary();
             // Debug: Check if the summary contains string representations
             if (typeof summary.total_damage === 'string' || typeof summary.total_healing === 'string') {
@@ -191,6 +196,26 @@ class FightHistoryManager {
         }
         
         fight.userStats = userSnapshot;
+        fight.buffStats = buffSnapshot;
+        if (elementStats) {
+            fight.elementStats = elementStats;
+        }
+    }
+
+    /**
+     * Add a player death to the active fight
+     * @param {Object} death - Death record with the hits that led to it
+     */
+    recordDeath(death) {
+        if (!this.currentFightId) return;
+        
+        const fight = this.fights.get(this.currentFightId);
+        if (!fight) return;
+        
+        if (!fight.deaths) {
+            fight.deaths = [];
+        }
+        fight.deaths.push(death);
     }
 
     /**
@@ -232,7 +257,8 @@ class FightHistoryManager {
                     duration: fight.duration,
                     totalDamage: fight.totalDamage,
                     totalHealing: fight.totalHealing,
-                    userCount: Object.keys(fight.userStats).length
+                    userCount: Object.keys(fight.userStats).length,
+                    deathCount: fight.deaths ? fight.deaths.length : 0
                 });
             }
         }
@@ -292,7 +318,7 @@ class FightHistoryManager {
      */
     async saveFightHistory() {
         try {
-            const historyDir = './logs/fight_history';
+            const historyDir = config.getDataPath('logs', 'fight_history');
             await fsPromises.mkdir(historyDir, { recursive: true });
             
             // Convert Map to plain object with proper serialization
@@ -324,7 +350,7 @@ class FightHistoryManager {
      */
     async loadFightHistory() {
         try {
-            const historyFile = './logs/fight_history/fight_history.json';
+            const historyFile = config.getDataPath('logs', 'fight_history', 'fight_history.json');
             const data = await fsPromises.readFile(historyFile, 'utf8');
             const historyData = JSON.parse(data);
             
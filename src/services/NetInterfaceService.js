@@ -1,17 +1,13 @@
 import { exec } from 'child_process';
+import fsPromises from 'fs/promises';
+import os from 'os';
 import cap from 'cap';
+import { findByRanking, isVirtual, parseIpRoute, parseMacRoute, parseProcNetRoute } from '../models/RouteTable.js';
 
-const VIRTUAL_KEYWORDS = ['zerotier', 'vmware', 'hyper-v', 'virtual', 'loopback', 'tap', 'bluetooth', 'wan miniport'];
+export { findByRanking, parseIpRoute, parseMacRoute, parseProcNetRoute };
 
-/**
- * Checks if a network adapter is virtual based on its name.
- * @param {string} name The description or name of the network device.
- * @returns {boolean} True if the device name indicates it's a virtual adapter.
- */
-function isVirtual(name) {
-    const lower = name.toLowerCase();
-    return VIRTUAL_KEYWORDS.some((keyword) => lower.includes(keyword));
-}
+// Game traffic is TCP over IPv4 or IPv6, IPv6 fragments are matched on their first header
+export const CAPTURE_FILTER = '(ip and tcp) or (ip6 and (ip6 protochain tcp or ip6[6] == 44))';
 
 /**
  * Detects TCP traffic on a network adapter for 3 seconds.
@@ -52,7 +48,7 @@ export function detectTraffic(deviceIndex, devices) {
             const buffer = Buffer.alloc(65535);
 
             console.log(`Attempting to open device: ${devices[deviceIndex].name}`);
-            const openResult = c.open(devices[deviceIndex].name, 'ip and tcp', 1024 * 1024, buffer);
+            const openResult = c.open(devices[deviceIndex].name, CAPTURE_FILTER, 1024 * 1024, buffer);
             console.log(`Open result for ${devices[deviceIndex].name}: ${openResult}`);
 
             if (openResult) {
@@ -92,42 +88,157 @@ export function detectTraffic(deviceIndex, devices) {
 }
 
 /**
- * Finds the default network device using the system's route table.
- * This function is specifically for Windows.
+ * Lists all capture devices together with the TCP traffic seen on each of them.
+ * All devices are probed in parallel, so this takes about as long as a single detectTraffic call.
  * @param {Object} devices A map of network devices.
- * @returns {Promise<number|undefined>} A promise that resolves with the device index or undefined.
+ * @returns {Promise<Array<Object>>} A promise that resolves with the device list.
  */
-export async function findByRoute(devices) {
-    try {
-        const stdout = await new Promise((resolve, reject) => {
-            exec('route print 0.0.0.0', (error, stdout) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    resolve(stdout);
-                }
-            });
+export async function probeDevices(devices) {
+    const keys = Object.keys(devices);
+    const counts = await Promise.all(keys.map((key) => detectTraffic(key, devices)));
+    return keys.map((key, i) => {
+        const device = devices[key];
+        return {
+            index: parseInt(key, 10),
+            name: device.name,
+            description: device.description || '',
+            addresses: (device.addresses || []).map((address) => address.addr),
+            virtual: isVirtual(device.description || device.name),
+            packets: counts[i],
+        };
+    });
+}
+
+/**
+ * Runs a shell command and resolves with its stdout.
+ * @param {string} command The command to run.
+ * @returns {Promise<string>} A promise that resolves with the command output.
+ */
+function execCommand(command) {
+    return new Promise((resolve, reject) => {
+        exec(command, (error, stdout) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(stdout);
+            }
         });
+    });
+}
 
-        const defaultInterface = stdout
-            .split('\n')
-            .find((line) => line.trim().startsWith('0.0.0.0'))
-            ?.trim()
-            .split(/\s+/)[3];
+/**
+ * Finds the index of the device that owns one of the given addresses.
+ * @param {Object} devices A map of network devices.
+ * @param {string[]} addresses The addresses to look for.
+ * @returns {number|undefined} The device index or undefined.
+ */
+function findDeviceByAddress(devices, addresses) {
+    const targetInterface = Object.keys(devices).find((key) =>
+        (devices[key].addresses || []).find((address) => addresses.includes(address.addr))
+    );
+    return targetInterface !== undefined ? parseInt(targetInterface, 10) : undefined;
+}
 
-        if (!defaultInterface) {
-            return undefined;
-        }
+/**
+ * Finds the index of the device for an OS interface name such as eth0 or en0.
+ * libpcap uses the interface name as device name on Linux and macOS, the addresses are checked as a fallback.
+ * @param {Object} devices A map of network devices.
+ * @param {string} interfaceName The OS interface name.
+ * @param {string} [sourceAddress] The preferred source address of the route, if known.
+ * @returns {number|undefined} The device index or undefined.
+ */
+function findDeviceByInterfaceName(devices, interfaceName, sourceAddress) {
+    const byName = Object.keys(devices).find((key) => devices[key].name === interfaceName);
+    if (byName !== undefined) {
+        return parseInt(byName, 10);
+    }
 
-        const targetInterface = Object.keys(devices).find((key) =>
-            devices[key].addresses.find((address) => address.addr === defaultInterface)
-        );
+    const addresses = (os.networkInterfaces()[interfaceName] || []).map((address) => address.address);
+    if (sourceAddress) {
+        addresses.unshift(sourceAddress);
+    }
+    return findDeviceByAddress(devices, addresses);
+}
+
+/**
+ * Finds the default network device using the Windows route table.
+ * @param {Object} devices A map of network devices.
+ * @returns {Promise<number|undefined>} A promise that resolves with the device index or undefined.
+ */
+async function findByWindowsRoute(devices) {
+    const stdout = await execCommand('route print 0.0.0.0');
 
-        if (!targetInterface) {
-            return undefined;
+    const defaultInterface = stdout
+        .split('\n')
+        .find((line) => line.trim().startsWith('0.0.0.0'))
+        ?.trim()
+        .split(/\s+/)[3];
+
+    if (!defaultInterface) {
+        return undefined;
+    }
+
+    return findDeviceByAddress(devices, [defaultInterface]);
+}
+
+/**
+ * Finds the default network device on Linux from /proc/net/route, falling back to `ip route`.
+ * @param {Object} devices A map of network devices.
+ * @returns {Promise<number|undefined>} A promise that resolves with the device index or undefined.
+ */
+async function findByLinuxRoute(devices) {
+    try {
+        const content = await fsPromises.readFile('/proc/net/route', 'utf8');
+        const iface = parseProcNetRoute(content);
+        if (iface) {
+            const index = findDeviceByInterfaceName(devices, iface);
+            if (index !== undefined) {
+                return index;
+            }
         }
+    } catch (error) {
+        console.warn('Failed to read /proc/net/route, trying ip route:', error.message);
+    }
+
+    const route = parseIpRoute(await execCommand('ip route show default'));
+    if (!route) {
+        return undefined;
+    }
+    return findDeviceByInterfaceName(devices, route.iface, route.src);
+}
 
-        return parseInt(targetInterface, 10);
+/**
+ * Finds the default network device on macOS using `route -n get default`.
+ * @param {Object} devices A map of network devices.
+ * @returns {Promise<number|undefined>} A promise that resolves with the device index or undefined.
+ */
+async function findByMacRoute(devices) {
+    const iface = parseMacRoute(await execCommand('route -n get default'));
+    if (!iface) {
+        return undefined;
+    }
+    return findDeviceByInterfaceName(devices, iface);
+}
+
+/**
+ * Finds the default network device using the system's route table.
+ * Supports Windows (`route print`), Linux (/proc/net/route or `ip route`) and macOS (`route -n get`).
+ * @param {Object} devices A map of network devices.
+ * @returns {Promise<number|undefined>} A promise that resolves with the device index or undefined.
+ */
+export async function findByRoute(devices) {
+    try {
+        switch (process.platform) {
+            case 'win32':
+                return await findByWindowsRoute(devices);
+            case 'linux':
+                return await findByLinuxRoute(devices);
+            case 'darwin':
+                return await findByMacRoute(devices);
+            default:
+                console.warn(`Route table lookup is not supported on ${process.platform}`);
+                return undefined;
+        }
     } catch (error) {
         console.error('Failed to find device by route:', error);
         return undefined;
@@ -135,7 +246,8 @@ export async function findByRoute(devices) {
 }
 
 /**
- * Finds the most suitable default network device by using the system's route table.
+ * Finds the most suitable default network device by using the system's route table,
+ * falling back to ranking the adapters by name and addresses.
  * @param {Object} devices A map of network devices.
  * @returns {Promise<number|undefined>} The index of the default network device.
  */
@@ -146,11 +258,15 @@ export async function findDefaultNetworkDevice(devices) {
 
         if (routeIndex !== undefined) {
             console.log(`Using adapter from route table: ${routeIndex} - ${devices[routeIndex].description}`);
-        } else {
-            console.log('Could not find a default network interface via route table.');
+            return routeIndex;
         }
 
-        return routeIndex;
+        console.log('Could not find a default network interface via route table, ranking adapters instead.');
+        const rankedIndex = findByRanking(devices);
+        if (rankedIndex !== undefined) {
+            console.log(`Using best ranked adapter: ${rankedIndex} - ${devices[rankedIndex].description}`);
+        }
+        return rankedIndex;
     } catch (error) {
         console.error(
             'An error occurred during device lookup. Please ensure your system is properly configured.',
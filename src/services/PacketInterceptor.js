@@ -1,21 +1,30 @@
 import cap from 'cap';
 import zlib from 'zlib';
+import captureStats from './CaptureStats.js';
 import logger from './Logger.js';
+import socket from './Socket.js';
+import streamRecorder from './StreamRecorder.js';
 import userDataManager from './UserDataManager.js';
 
+import { config } from '../config.js';
 import { PacketProcessor } from './PacketProcessor.js';
 import { Lock } from '../models/Lock.js';
+import { LinkType } from '../models/PcapParser.js';
+import { TcpReassembler } from '../models/TcpReassembler.js';
 import { Readable } from 'stream';
 import { findDefaultNetworkDevice } from './NetInterfaceService.js';
+import { LiveDeviceSource, PcapFileSource, StreamFileSource, TcpMirrorSource } from './CaptureSources.js';
 
-const Cap = cap.Cap;
 const decoders = cap.decoders;
 const PROTOCOL = decoders.PROTOCOL;
 
+const FRAGMENT_TIMEOUT = 30000;
+const STATS_INTERVAL = 2000;
+
 const clearDataOnServerChange = () => {
     userDataManager.refreshEnemyCache();
     if (
-        !globalSettings.autoClearOnServerChange ||
+        !config.GLOBAL_SETTINGS.autoClearOnServerChange ||
         userDataManager.lastLogTime === 0 ||
         userDataManager.users.size === 0
     ) {
@@ -25,265 +34,710 @@ const clearDataOnServerChange = () => {
     logger.info('Server changed, statistics cleared!');
 };
 
-export class PacketInterceptor {
-    static start(server, port, resolve, reject) {
-        server.listen(port, async () => {
-            const devices = cap.deviceList();
-            let num;
+// Game connections keyed by their server -> client 4-tuple, each one with its own reassembly state and processor
+const flows = new Map();
+const tcp_lock = new Lock();
+
+const removeFlow = (flow, reason) => {
+    flows.delete(flow.key);
+    flow.processor.close();
+    logger.info(`Stopped tracking game connection ${flow.key} (${reason})`);
+};
+
+const onPlayerIdentified = (flow, uuid) => {
+    // The same player on a new connection is a scene hand-off, the old connection is finished
+    let handedOff = false;
+    for (const other of flows.values()) {
+        if (other !== flow && other.processor.currentUserUuid.eq(uuid)) {
+            removeFlow(other, 'scene hand-off');
+            handedOff = true;
+        }
+    }
+    if (handedOff && userDataManager.isViewedSession(uuid.shiftRight(16).toNumber())) {
+        clearDataOnServerChange();
+    }
+};
+
+const addFlow = (key, nextSeq) => {
+    if (flows.size === 0) {
+        clearDataOnServerChange();
+    }
+    const flow = {
+        key,
+        created: Date.now(),
+        reassembler: new TcpReassembler(nextSeq, {
+            onGap: (bytes) => {
+                captureStats.increment('sequenceGaps');
+                captureStats.increment('gapBytes', bytes);
+                logger.warn(`Lost ${bytes} bytes of ${key}, skipping to the next segment`);
+            },
+            onInvalidFrame: (size) => {
+                captureStats.increment('invalidLengthDiscards');
+                logger.warn(`Invalid frame length ${size} on ${key}, resyncing`);
+            },
+            onResync: (bytes) => logger.debug(`Discarded ${bytes} bytes of ${key} while resyncing`),
+        }),
+    };
+    flow.processor = new PacketProcessor({
+        flowKey: key,
+        onPlayerIdentified: (uuid) => onPlayerIdentified(flow, uuid),
+    });
+    flows.set(key, flow);
+    return flow;
+};
+
+const ETHER_TYPE_IPV4 = 0x0800;
+const ETHER_TYPE_IPV6 = 0x86dd;
+const ETHER_TYPE_VLAN = [0x8100, 0x88a8];
+
+const IPV6_HEADER_SIZE = 40;
+const IPv6Header = {
+    HopByHop: 0,
+    Routing: 43,
+    Fragment: 44,
+    Authentication: 51,
+    DestinationOptions: 60,
+};
+
+/**
+ * Formats a 16 byte IPv6 address, collapsing the longest run of zero groups.
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {string}
+ */
+const formatIPv6 = (buffer, offset) => {
+    const groups = [];
+    for (let i = 0; i < 8; i++) groups.push(buffer.readUInt16BE(offset + i * 2));
+
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let i = 0; i < 8; i++) {
+        let length = 0;
+        while (i + length < 8 && groups[i + length] === 0) length++;
+        if (length > bestLength) {
+            bestStart = i;
+            bestLength = length;
+        }
+    }
+
+    const hex = groups.map((group) => group.toString(16));
+    if (bestStart === -1) return hex.join(':');
+    return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+};
+
+/**
+ * Walks the IPv6 extension headers up to the upper layer protocol.
+ * Stops at a Fragment header, the headers behind it are only readable after reassembly.
+ * @param {Buffer} buffer Data starting with the header identified by nextHeader.
+ * @param {number} nextHeader Next Header value of the preceding header.
+ * @returns {{protocol: number, offset: number, fragment: object|null}|null} null when the headers are truncated.
+ */
+const walkIPv6Headers = (buffer, nextHeader) => {
+    let offset = 0;
+    while (true) {
+        switch (nextHeader) {
+            case IPv6Header.HopByHop:
+            case IPv6Header.Routing:
+            case IPv6Header.DestinationOptions:
+                if (offset + 2 > buffer.length) return null;
+                nextHeader = buffer[offset];
+                offset += (buffer[offset + 1] + 1) * 8;
+                break;
+            case IPv6Header.Authentication:
+                if (offset + 2 > buffer.length) return null;
+                nextHeader = buffer[offset];
+                offset += (buffer[offset + 1] + 2) * 4;
+                break;
+            case IPv6Header.Fragment: {
+                if (offset + 8 > buffer.length) return null;
+                const field = buffer.readUInt16BE(offset + 2);
+                const fragment = {
+                    id: buffer.readUInt32BE(offset + 4),
+                    offset: field & 0xfff8,
+                    more: (field & 1) !== 0,
+                };
+                nextHeader = buffer[offset];
+                offset += 8;
+                // Atomic fragments carry the whole packet
+                if (fragment.offset > 0 || fragment.more) {
+                    return { protocol: nextHeader, offset, fragment };
+                }
+                break;
+            }
+            default:
+                return offset <= buffer.length ? { protocol: nextHeader, offset, fragment: null } : null;
+        }
+    }
+};
+
+/**
+ * Decodes the IPv4 or IPv6 header of a frame.
+ * @param {number} etherType EtherType of the frame.
+ * @param {Buffer} frameBuffer
+ * @param {number} offset Offset of the IP header.
+ * @returns {{version: number, srcaddr: string, dstaddr: string, protocol: number, payload: Buffer, fragment: object|null}|null}
+ */
+const decodeIPPacket = (etherType, frameBuffer, offset) => {
+    if (etherType === ETHER_TYPE_IPV4) {
+        const ipPacket = decoders.IPV4(frameBuffer, offset);
+        const { id, flags, fragoffset, srcaddr, dstaddr, protocol, totallen } = ipPacket.info;
+        const more = (flags & 0x1) !== 0;
+        return {
+            version: 4,
+            srcaddr,
+            dstaddr,
+            protocol,
+            payload: frameBuffer.subarray(ipPacket.offset, ipPacket.offset + (totallen - ipPacket.hdrlen)),
+            fragment: more || fragoffset > 0 ? { id, offset: fragoffset * 8, more } : null,
+        };
+    }
+
+    if (etherType === ETHER_TYPE_IPV6) {
+        if (frameBuffer.length < offset + IPV6_HEADER_SIZE) return null;
+        const payloadLength = frameBuffer.readUInt16BE(offset + 4);
+        const body = frameBuffer.subarray(offset + IPV6_HEADER_SIZE, offset + IPV6_HEADER_SIZE + payloadLength);
+        const headers = walkIPv6Headers(body, frameBuffer[offset + 6]);
+        if (!headers) return null;
+        return {
+            version: 6,
+            srcaddr: formatIPv6(frameBuffer, offset + 8),
+            dstaddr: formatIPv6(frameBuffer, offset + 24),
+            protocol: headers.protocol,
+            payload: body.subarray(headers.offset),
+            fragment: headers.fragment,
+        };
+    }
+
+    return null;
+};
+
+const fragmentIpCache = new Map();
+/**
+ * Returns the TCP segment of a decoded IP packet, reassembling IP fragments first.
+ * @param {object} ipPacket Result of decodeIPPacket.
+ * @returns {Buffer|null} null while fragments are missing or when the packet is not TCP.
+ */
+const getTCPPacket = (ipPacket) => {
+    const { version, srcaddr, dstaddr, fragment } = ipPacket;
+    let { protocol, payload } = ipPacket;
+
+    if (fragment) {
+        const _key = `${version}-${fragment.id}-${srcaddr}-${dstaddr}-${protocol}`;
+        if (!fragmentIpCache.has(_key)) {
+            fragmentIpCache.set(_key, { fragments: [], totalLength: null, timestamp: Date.now() });
+        }
+        const cacheEntry = fragmentIpCache.get(_key);
+        cacheEntry.fragments.push({ offset: fragment.offset, payload: Buffer.from(payload) });
+        cacheEntry.timestamp = Date.now();
+        if (!fragment.more) {
+            cacheEntry.totalLength = fragment.offset + payload.length;
+        }
+        if (cacheEntry.totalLength === null) return null;
+
+        // Fragments can arrive out of order, wait until the whole payload is covered
+        cacheEntry.fragments.sort((a, b) => a.offset - b.offset);
+        let covered = 0;
+        for (const { offset, payload } of cacheEntry.fragments) {
+            if (offset > covered) return null;
+            covered = Math.max(covered, offset + payload.length);
+        }
+        if (covered < cacheEntry.totalLength) return null;
+
+        const fullPayload = Buffer.alloc(cacheEntry.totalLength);
+        for (const { offset, payload } of cacheEntry.fragments) {
+            payload.copy(fullPayload, offset);
+        }
+        fragmentIpCache.delete(_key);
+        payload = fullPayload;
+
+        if (version === 6) {
+            const headers = walkIPv6Headers(payload, protocol);
+            if (!headers || headers.fragment) return null;
+            protocol = headers.protocol;
+            payload = payload.subarray(headers.offset);
+        }
+    }
+
+    if (protocol !== PROTOCOL.IP.TCP) return null;
+    return Buffer.from(payload);
+};
+
+const formatEndpoint = (version, addr, port) => (version === 6 ? `[${addr}]:${port}` : `${addr}:${port}`);
+
+const etherTypeFromVersion = (frameBuffer, offset) => {
+    if (frameBuffer.length <= offset) return null;
+    const version = frameBuffer[offset] >> 4;
+    if (version === 4) return { etherType: ETHER_TYPE_IPV4, offset };
+    if (version === 6) return { etherType: ETHER_TYPE_IPV6, offset };
+    return null;
+};
 
-            console.log('Auto detecting default network interface...');
-            const device_num = await findDefaultNetworkDevice(devices);
-            if (device_num !== null && device_num !== undefined) {
-                num = device_num;
-                console.log(`Using network interface: ${num} - ${devices[num].description}`);
+/**
+ * Finds the network layer of a captured frame.
+ * @param {number} linkType Link type of the capture, see LinkType.
+ * @param {Buffer} frameBuffer
+ * @returns {{etherType: number, offset: number}|null} null for unsupported link types.
+ */
+const decodeLinkLayer = (linkType, frameBuffer) => {
+    switch (linkType) {
+        case LinkType.ETHERNET: {
+            let offset = 12;
+            if (frameBuffer.length < offset + 2) return null;
+            let etherType = frameBuffer.readUInt16BE(offset);
+            // Skip 802.1Q / 802.1ad tags
+            while (ETHER_TYPE_VLAN.includes(etherType) && frameBuffer.length >= offset + 6) {
+                offset += 4;
+                etherType = frameBuffer.readUInt16BE(offset);
+            }
+            return { etherType, offset: offset + 2 };
+        }
+        case LinkType.LINUX_SLL:
+            if (frameBuffer.length < 16) return null;
+            return { etherType: frameBuffer.readUInt16BE(14), offset: 16 };
+        case LinkType.LINUX_SLL2:
+            if (frameBuffer.length < 20) return null;
+            return { etherType: frameBuffer.readUInt16BE(0), offset: 20 };
+        // The address family of loopback headers differs between systems, the IP version nibble does not
+        case LinkType.NULL:
+        case LinkType.LOOP:
+            return etherTypeFromVersion(frameBuffer, 4);
+        case LinkType.RAW:
+        case LinkType.IPV4:
+        case LinkType.IPV6:
+            return etherTypeFromVersion(frameBuffer, 0);
+        default:
+            return null;
+    }
+};
+
+const warnedLinkTypes = new Set();
+
+const processFrame = async (linkType, frameBuffer) => {
+    captureStats.increment('framesSeen');
+    const link = decodeLinkLayer(linkType, frameBuffer);
+    if (link === null) {
+        if (!warnedLinkTypes.has(linkType)) {
+            warnedLinkTypes.add(linkType);
+            logger.error(`Unsupported link type ${linkType}, skipping frames`);
+        }
+        return;
+    }
+    const ipPacket = decodeIPPacket(link.etherType, frameBuffer, link.offset);
+    if (ipPacket === null) return;
+
+    const tcpBuffer = getTCPPacket(ipPacket);
+    if (tcpBuffer === null) return;
+
+    const tcpPacket = decoders.TCP(tcpBuffer);
+    const buf = Buffer.from(tcpBuffer.subarray(tcpPacket.hdrlen));
+    const { srcport, dstport } = tcpPacket.info;
+    const { version, srcaddr, dstaddr } = ipPacket;
+    const src_server = `${formatEndpoint(version, srcaddr, srcport)} -> ${formatEndpoint(version, dstaddr, dstport)}`;
+
+    await tcp_lock.acquire();
+    try {
+        const flow = flows.get(src_server);
+        if (!flow) {
+            try {
+                if (buf[4] == 0) {
+                    const data = buf.subarray(10);
+                    if (data.length) {
+                        const stream = Readable.from(data, { objectMode: false });
+                        let data1;
+                        do {
+                            const len_buf = stream.read(4);
+                            if (!len_buf) break;
+
+                            const packetLength = len_buf.readUInt32BE();
+                            if (packetLength > 0x100000 || packetLength < 4) {
+                                logger.warn(
+                                    `Invalid packet length during server identification: ${packetLength}. Discarding buffer.`
+                                );
+                                stream.destroy();
+                                break;
+                            }
+
+                            data1 = stream.read(packetLength - 4);
+                            if (!data1) break;
+
+                            const signature = Buffer.from([0x00, 0x63, 0x33, 0x53, 0x42, 0x00]); //c3SB??
+                            if (Buffer.compare(data1.subarray(5, 5 + signature.length), signature) !== 0) break;
+
+                            if (!flows.has(src_server)) {
+                                addFlow(src_server, tcpPacket.info.seqno + buf.length);
+                                logger.info('Got Scene Server Address: ' + src_server);
+                            }
+                        } while (data1 && data1.length);
+                    }
+                }
+                if (buf.length === 0x62) {
+                    const signature = Buffer.from([
+                        0x00, 0x00, 0x00, 0x62, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x11, 0x45, 0x14, 0x00, 0x00,
+                        0x00, 0x00, 0x0a, 0x4e, 0x08, 0x01, 0x22, 0x24,
+                    ]);
+                    if (
+                        Buffer.compare(buf.subarray(0, 10), signature.subarray(0, 10)) === 0 &&
+                        Buffer.compare(buf.subarray(14, 14 + 6), signature.subarray(14, 14 + 6)) === 0
+                    ) {
+                        if (!flows.has(src_server)) {
+                            addFlow(src_server, tcpPacket.info.seqno + buf.length);
+                            logger.info('Got Scene Server Address by Login Return Packet: ' + src_server);
+                        }
+                    }
+                }
+            } catch (e) {}
+            return;
+        }
+
+        for (const packet of flow.reassembler.push(tcpPacket.info.seqno, buf)) {
+            captureStats.increment('bytesReassembled', packet.length);
+            streamRecorder.record(flow.key, packet);
+            flow.processor.processPacket(packet);
+        }
+    } finally {
+        tcp_lock.release();
+    }
+};
+
+// A truncated or malformed frame from a mirror or a capture file must not stop the capture
+const processFrameSafely = async (linkType, frameBuffer) => {
+    try {
+        await processFrame(linkType, frameBuffer);
+    } catch (e) {
+        captureStats.increment('malformedFrames');
+        logger.debug(`Skipping malformed frame: ${e.message}`);
+    }
+};
+
+const eth_queue = [];
+let pipelineStarted = false;
+let liveSource = null;
+let replaySource = null;
+// Processors of sources that deliver an already reassembled game stream, keyed by stream
+const streamProcessors = new Map();
+
+const getPipelineStats = () => captureStats.getStats({ framesQueued: eth_queue.length, connections: flows.size });
+
+const isReplaying = () => !!replaySource && replaySource.isRunning();
+
+const processGamePacket = (key, payload) => {
+    let processor = streamProcessors.get(key);
+    if (!processor) {
+        processor = new PacketProcessor({ flowKey: key });
+        streamProcessors.set(key, processor);
+    }
+    captureStats.increment('bytesReassembled', payload.length);
+    streamRecorder.record(key, payload);
+    processor.processPacket(payload);
+};
+
+/** @type {import('./CaptureSources.js').CaptureSink} */
+const liveSink = {
+    pushFrame: (linkType, data) => {
+        // Live frames would interleave with the replayed stream
+        if (isReplaying()) return;
+        eth_queue.push({ linkType, data });
+    },
+    pushGamePacket: (key, payload) => {
+        if (isReplaying()) return;
+        processGamePacket(key, payload);
+    },
+};
+
+/** @type {import('./CaptureSources.js').CaptureSink} */
+const replaySink = {
+    pushFrame: processFrameSafely,
+    pushGamePacket: processGamePacket,
+};
+
+const startPipeline = () => {
+    if (pipelineStarted) return;
+    pipelineStarted = true;
+
+    (async () => {
+        while (true) {
+            if (eth_queue.length) {
+                const { linkType, data } = eth_queue.shift();
+                await processFrameSafely(linkType, data);
             } else {
-                return reject(new Error('Default network interface not found!'));
+                await new Promise((r) => setTimeout(r, 1));
+            }
+        }
+    })();
+
+    setInterval(() => {
+        const now = Date.now();
+        let clearedFragments = 0;
+        fragmentIpCache.forEach((cacheEntry, key) => {
+            if (now - cacheEntry.timestamp > FRAGMENT_TIMEOUT) {
+                fragmentIpCache.delete(key);
+                clearedFragments++;
             }
+        });
+        if (clearedFragments > 0) {
+            logger.debug(`Cleared ${clearedFragments} expired IP fragment caches`);
+        }
+        for (const flow of flows.values()) {
+            if (now - (flow.reassembler.lastTime || flow.created) > FRAGMENT_TIMEOUT) {
+                logger.warn(
+                    `Cannot capture the next packet from ${flow.key}! Is the game closed or disconnected? seq: ${flow.reassembler.nextSeq}`
+                );
+                removeFlow(flow, 'timeout');
+            }
+        }
+    }, 10000);
+
+    setInterval(() => {
+        try {
+            socket.emit('capture_stats', getPipelineStats());
+        } catch (e) {
+            // Socket is not initialized when replaying without the web server
+        }
+    }, STATS_INTERVAL);
+};
+
+const resetCaptureState = async () => {
+    await tcp_lock.acquire();
+    try {
+        for (const flow of flows.values()) {
+            removeFlow(flow, 'capture reset');
+        }
+        for (const processor of streamProcessors.values()) {
+            processor.close();
+        }
+        streamProcessors.clear();
+        fragmentIpCache.clear();
+        captureStats.reset();
+    } finally {
+        tcp_lock.release();
+    }
+};
+
+const useLiveSource = async (source) => {
+    // Start the new source first so a failure keeps the current capture running
+    await source.start(liveSink);
+    if (liveSource) {
+        liveSource.stop();
+    }
+    liveSource = source;
+    eth_queue.length = 0;
+    await resetCaptureState();
+};
 
+const runReplay = async (source) => {
+    // Set before the first await, live frames are dropped from here on
+    replaySource = source;
+    startPipeline();
+    await resetCaptureState();
+    try {
+        return await source.start(replaySink);
+    } finally {
+        await resetCaptureState();
+    }
+};
+
+export class PacketInterceptor {
+    /**
+     * Starts the web server and the capture pipeline.
+     * @param {http.Server} server The HTTP server to start listening.
+     * @param {number} port The port to listen on.
+     * @param {Function} resolve Called with the server URL once the server is ready.
+     * @param {Function} reject Called when startup fails.
+     * @param {object} [options]
+     * @param {string} [options.replayFile] Replay this capture file instead of opening a live device.
+     * @param {number} [options.replaySpeed] Replay speed multiplier, 0 replays as fast as possible.
+     * @param {string} [options.playRecording] Play this stream recording instead of opening a live device.
+     * @param {string} [options.recordFile] Record the reassembled game stream to this file.
+     * @param {number} [options.mirrorPort] Receive mirrored traffic on this TCP port instead of opening a live device.
+     * @param {string} [options.mirrorHost] Address to bind the mirror listener to.
+     * @param {string} [options.host] Address to bind the web server to, all interfaces when unset.
+     * @param {string} [options.captureDevice] Capture device name or index, overrides the saved device.
+     */
+    static start(server, port, resolve, reject, options = {}) {
+        server.listen(port, options.host, async () => {
             if (!zlib.zstdDecompressSync) {
                 const errorMsg = 'zstdDecompressSync is not available! Please update your Node.js!';
                 logger.error(errorMsg);
                 return reject(new Error(errorMsg));
             }
 
-            const url = `http://localhost:${port}`;
+            const host =
+                !options.host || options.host === '0.0.0.0' || options.host === '::' ? 'localhost' : options.host;
+            const url = `http://${host.includes(':') ? `[${host}]` : host}:${port}`;
             logger.info(`Web Server started at ${url}`);
             logger.info('WebSocket Server started');
 
-            logger.info('Welcome!');
-            logger.info('Attempting to find the game server, please wait!');
+            startPipeline();
 
-            let current_server = '';
-            let _data = Buffer.alloc(0);
-            let tcp_next_seq = -1;
-            let tcp_cache = new Map();
-            let tcp_last_time = 0;
-            const tcp_lock = new Lock();
-
-            const clearTcpCache = () => {
-                _data = Buffer.alloc(0);
-                tcp_next_seq = -1;
-                tcp_last_time = 0;
-                tcp_cache.clear();
-            };
-
-            const fragmentIpCache = new Map();
-            const FRAGMENT_TIMEOUT = 30000;
-            const getTCPPacket = (frameBuffer, ethOffset) => {
-                const ipPacket = decoders.IPV4(frameBuffer, ethOffset);
-                const ipId = ipPacket.info.id;
-                const isFragment = (ipPacket.info.flags & 0x1) !== 0;
-                const _key = `${ipId}-${ipPacket.info.srcaddr}-${ipPacket.info.dstaddr}-${ipPacket.info.protocol}`;
-                const now = Date.now();
-
-                if (isFragment || ipPacket.info.fragoffset > 0) {
-                    if (!fragmentIpCache.has(_key)) {
-                        fragmentIpCache.set(_key, { fragments: [], timestamp: now });
-                    }
-                    const cacheEntry = fragmentIpCache.get(_key);
-                    cacheEntry.fragments.push(Buffer.from(frameBuffer.subarray(ethOffset)));
-                    cacheEntry.timestamp = now;
+            if (options.recordFile) {
+                streamRecorder.start(options.recordFile).catch((error) => {
+                    logger.error(`Failed to start stream recording: ${error.message}`);
+                });
+            }
 
-                    if (isFragment) return null;
+            if (options.playRecording) {
+                logger.info(`Playback mode, live capture is disabled. File: ${options.playRecording}`);
+                PacketInterceptor.playRecording(options.playRecording, options.replaySpeed).catch((error) => {
+                    logger.error(`Playback of ${options.playRecording} failed: ${error.message}`);
+                });
+                return resolve(url);
+            }
 
-                    const { fragments } = cacheEntry;
-                    if (!fragments) {
-                        logger.error(`Can't find fragments for ${_key}`);
-                        return null;
-                    }
+            if (options.replayFile) {
+                logger.info(`Replay mode, live capture is disabled. File: ${options.replayFile}`);
+                PacketInterceptor.replay(options.replayFile, options.replaySpeed).catch((error) => {
+                    logger.error(`Replay of ${options.replayFile} failed: ${error.message}`);
+                });
+                return resolve(url);
+            }
 
-                    let totalLength = 0;
-                    const fragmentData = [];
-                    for (const buffer of fragments) {
-                        const ip = decoders.IPV4(buffer);
-                        const fragmentOffset = ip.info.fragoffset * 8;
-                        const payloadLength = ip.info.totallen - ip.hdrlen;
-                        const payload = Buffer.from(buffer.subarray(ip.offset, ip.offset + payloadLength));
-                        fragmentData.push({ offset: fragmentOffset, payload });
-                        const endOffset = fragmentOffset + payloadLength;
-                        if (endOffset > totalLength) totalLength = endOffset;
-                    }
+            if (options.mirrorPort) {
+                try {
+                    await PacketInterceptor.listenForMirror(options.mirrorPort, options.mirrorHost);
+                } catch (error) {
+                    logger.error(
+                        `Failed to listen for mirrored traffic on port ${options.mirrorPort}: ${error.message}`
+                    );
+                }
+                return resolve(url);
+            }
 
-                    const fullPayload = Buffer.alloc(totalLength);
-                    for (const fragment of fragmentData) {
-                        fragment.payload.copy(fullPayload, fragment.offset);
+            const devices = cap.deviceList();
+            let device;
+            if (options.captureDevice) {
+                device =
+                    devices.find((d) => d.name === options.captureDevice) || devices[Number(options.captureDevice)];
+                if (!device) {
+                    logger.error(`Network interface not found: ${options.captureDevice}`);
+                    return resolve(url);
+                }
+                console.log(`Using network interface: ${device.name} - ${device.description}`);
+            } else {
+                device = devices.find((d) => d.name === config.GLOBAL_SETTINGS.captureDevice);
+                if (device) {
+                    console.log(`Using saved network interface: ${device.name} - ${device.description}`);
+                } else {
+                    console.log('Auto detecting default network interface...');
+                    const device_num = await findDefaultNetworkDevice(devices);
+                    if (device_num !== null && device_num !== undefined) {
+                        device = devices[device_num];
+                        console.log(`Using network interface: ${device_num} - ${device.description}`);
                     }
-                    fragmentIpCache.delete(_key);
-                    return fullPayload;
                 }
-                return Buffer.from(
-                    frameBuffer.subarray(ipPacket.offset, ipPacket.offset + (ipPacket.info.totallen - ipPacket.hdrlen))
-                );
-            };
-
-            const c = new Cap();
-            const device = devices[num].name;
-            const filter = 'ip and tcp';
-            const bufSize = 10 * 1024 * 1024;
-            const buffer = Buffer.alloc(65535);
-            const linkType = c.open(device, filter, bufSize, buffer);
-            if (linkType !== 'ETHERNET') {
-                logger.error('The device seems to be WRONG! Please check the device! Device type: ' + linkType);
             }
-            c.setMinBytes && c.setMinBytes(0);
 
-            const eth_queue = [];
-            c.on('packet', (nbytes) => {
-                eth_queue.push(Buffer.from(buffer.subarray(0, nbytes)));
-            });
+            if (!device) {
+                logger.warn('Default network interface not found! Please select one in the settings.');
+                return resolve(url);
+            }
 
-            const processEthPacket = async (frameBuffer) => {
-                const ethPacket = decoders.Ethernet(frameBuffer);
-                if (ethPacket.info.type !== PROTOCOL.ETHERNET.IPV4) return;
+            try {
+                await PacketInterceptor.switchDevice(device.name);
+            } catch (error) {
+                logger.error(`Failed to open network interface ${device.name}: ${error.message}`);
+                return resolve(url);
+            }
 
-                const ipPacket = decoders.IPV4(frameBuffer, ethPacket.offset);
-                const { srcaddr, dstaddr } = ipPacket.info;
+            logger.info('Welcome!');
+            logger.info('Attempting to find the game server, please wait!');
 
-                const tcpBuffer = getTCPPacket(frameBuffer, ethPacket.offset);
-                if (tcpBuffer === null) return;
+            resolve(url);
+        });
+    }
 
-                const tcpPacket = decoders.TCP(tcpBuffer);
-                const buf = Buffer.from(tcpBuffer.subarray(tcpPacket.hdrlen));
-                const { srcport, dstport } = tcpPacket.info;
-                const src_server = `${srcaddr}:${srcport} -> ${dstaddr}:${dstport}`;
+    /**
+     * Opens a live capture device and closes the previous live source. Can be called while running.
+     * @param {string} name The cap device name.
+     * @returns {Promise<{name: string, description: string}>} The newly opened device.
+     */
+    static async switchDevice(name) {
+        const device = cap.deviceList().find((d) => d.name === name);
+        if (!device) {
+            throw new Error(`Network interface not found: ${name}`);
+        }
+
+        await useLiveSource(new LiveDeviceSource(device));
+        logger.info(`Capturing on network interface: ${device.name} - ${liveSource.description}`);
+        return PacketInterceptor.getCaptureDevice();
+    }
 
-                await tcp_lock.acquire();
-                try {
-                    if (current_server !== src_server) {
-                        try {
-                            if (buf[4] == 0) {
-                                const data = buf.subarray(10);
-                                if (data.length) {
-                                    const stream = Readable.from(data, { objectMode: false });
-                                    let data1;
-                                    do {
-                                        const len_buf = stream.read(4);
-                                        if (!len_buf) break;
-
-                                        const packetLength = len_buf.readUInt32BE();
-                                        if (packetLength > 0x100000 || packetLength < 4) {
-                                            logger.warn(
-                                                `Invalid packet length during server identification: ${packetLength}. Discarding buffer.`
-                                            );
-                                            stream.destroy();
-                                            break;
-                                        }
-
-                                        data1 = stream.read(packetLength - 4);
-                                        if (!data1) break;
-
-                                        const signature = Buffer.from([0x00, 0x63, 0x33, 0x53, 0x42, 0x00]); //c3SB??
-                                        if (Buffer.compare(data1.subarray(5, 5 + signature.length), signature) !== 0)
-                                            break;
-
-                                        if (current_server !== src_server) {
-                                            current_server = src_server;
-                                            clearTcpCache();
-                                            tcp_next_seq = tcpPacket.info.seqno + buf.length;
-                                            clearDataOnServerChange();
-                                            logger.info('Got Scene Server Address: ' + src_server);
-                                        }
-                                    } while (data1 && data1.length);
-                                }
-                            }
-                            if (buf.length === 0x62) {
-                                const signature = Buffer.from([
-                                    0x00, 0x00, 0x00, 0x62, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x11, 0x45, 0x14,
-                                    0x00, 0x00, 0x00, 0x00, 0x0a, 0x4e, 0x08, 0x01, 0x22, 0x24,
-                                ]);
-                                if (
-                                    Buffer.compare(buf.subarray(0, 10), signature.subarray(0, 10)) === 0 &&
-                                    Buffer.compare(buf.subarray(14, 14 + 6), signature.subarray(14, 14 + 6)) === 0
-                                ) {
-                                    if (current_server !== src_server) {
-                                        current_server = src_server;
-                                        clearTcpCache();
-                                        tcp_next_seq = tcpPacket.info.seqno + buf.length;
-                                        clearDataOnServerChange();
-                                        logger.info('Got Scene Server Address by Login Return Packet: ' + src_server);
-                                    }
-                                }
-                            }
-                        } catch (e) {}
-                        return;
-                    }
+    /**
+     * Receives traffic mirrored from another machine instead of capturing locally.
+     * @param {number} port TCP port to listen on.
+     * @param {string} [host='0.0.0.0'] Address to bind.
+     * @returns {Promise<object>} The status of the new source.
+     */
+    static async listenForMirror(port, host = '0.0.0.0') {
+        await useLiveSource(new TcpMirrorSource(port, host));
+        return PacketInterceptor.getCaptureSource();
+    }
 
-                    if (tcp_next_seq === -1) {
-                        if (buf.length > 4 && buf.readUInt32BE() < 0x0fffff) {
-                            tcp_next_seq = tcpPacket.info.seqno;
-                        } else {
-                            logger.error('Unexpected TCP capture error! tcp_next_seq is -1');
-                        }
-                    }
+    /**
+     * Returns the live capture device in use.
+     * @returns {{name: string, description: string}|null}
+     */
+    static getCaptureDevice() {
+        if (!liveSource || liveSource.type !== 'device') return null;
+        return { name: liveSource.name, description: liveSource.description };
+    }
 
-                    if (tcp_next_seq - tcpPacket.info.seqno <= 0 || tcp_next_seq === -1) {
-                        tcp_cache.set(tcpPacket.info.seqno, buf);
-                    }
+    /**
+     * Returns the status of the live capture source, a device or the mirror listener.
+     * @returns {object|null}
+     */
+    static getCaptureSource() {
+        return liveSource ? liveSource.getStatus() : null;
+    }
 
-                    while (tcp_cache.has(tcp_next_seq)) {
-                        const seq = tcp_next_seq;
-                        const cachedTcpData = tcp_cache.get(seq);
-                        _data = _data.length === 0 ? cachedTcpData : Buffer.concat([_data, cachedTcpData]);
-                        tcp_next_seq = (seq + cachedTcpData.length) >>> 0;
-                        tcp_cache.delete(seq);
-                        tcp_last_time = Date.now();
-                    }
+    /**
+     * Replays a saved .pcap/.pcapng capture through the same pipeline as live frames.
+     * @param {string} filePath Path of the capture file.
+     * @param {number} [speed=1] Speed multiplier, 1 is real-time and 0 replays as fast as possible.
+     * @returns {Promise<number>} Resolves with the number of replayed frames.
+     */
+    static async replay(filePath, speed = 1) {
+        if (isReplaying()) {
+            throw new Error('A replay is already running');
+        }
+        return runReplay(new PcapFileSource(filePath, speed));
+    }
 
-                    while (_data.length > 4) {
-                        const packetSize = _data.readUInt32BE();
-                        if (_data.length < packetSize) break;
-                        if (packetSize > 0x0fffff) {
-                            logger.error(
-                                `Invalid Length!! ${_data.length},${packetSize},${_data.toString('hex')},${tcp_next_seq}`
-                            );
-                            _data = Buffer.alloc(0);
-                            break;
-                        }
-                        if (_data.length >= packetSize) {
-                            const packet = _data.subarray(0, packetSize);
-                            _data = _data.subarray(packetSize);
-                            const processor = new PacketProcessor();
-                            processor.processPacket(packet);
-                        }
-                    }
-                } finally {
-                    tcp_lock.release();
-                }
-            };
-
-            (async () => {
-                while (true) {
-                    if (eth_queue.length) {
-                        const pkt = eth_queue.shift();
-                        await processEthPacket(pkt);
-                    } else {
-                        await new Promise((r) => setTimeout(r, 1));
-                    }
-                }
-            })();
-
-            setInterval(() => {
-                const now = Date.now();
-                let clearedFragments = 0;
-                fragmentIpCache.forEach((cacheEntry, key) => {
-                    if (now - cacheEntry.timestamp > FRAGMENT_TIMEOUT) {
-                        fragmentIpCache.delete(key);
-                        clearedFragments++;
-                    }
-                });
-                if (clearedFragments > 0) {
-                    logger.debug(`Cleared ${clearedFragments} expired IP fragment caches`);
-                }
-                if (tcp_last_time && Date.now() - tcp_last_time > FRAGMENT_TIMEOUT) {
-                    logger.warn(
-                        'Cannot capture the next packet! Is the game closed or disconnected? seq: ' + tcp_next_seq
-                    );
-                    current_server = '';
-                    clearTcpCache();
-                }
-            }, 10000);
+    /**
+     * Plays a stream recording. Statistics are cleared first so a recording always produces the same meter.
+     * @param {string} filePath Path of the .bpsr recording.
+     * @param {number} [speed=1] Speed multiplier, 1 is the original timing and 0 plays as fast as possible.
+     * @returns {Promise<number>} Resolves with the number of played packets.
+     */
+    static async playRecording(filePath, speed = 1) {
+        if (isReplaying()) {
+            throw new Error('A replay is already running');
+        }
+        const source = new StreamFileSource(filePath, speed);
+        userDataManager.clearAll();
+        return runReplay(source);
+    }
 
-            resolve(url);
-        });
+    /**
+     * Whether a capture file or stream recording is being replayed.
+     * @returns {boolean}
+     */
+    static isReplaying() {
+        return isReplaying();
+    }
+
+    /**
+     * Returns the state of the current or last replay, of either a capture file or a stream recording.
+     * @returns {object|null}
+     */
+    static getReplayStatus() {
+        return replaySource ? replaySource.getStatus() : null;
+    }
+
+    /**
+     * Returns the capture and parser health counters.
+     * @returns {object}
+     */
+    static getStats() {
+        return getPipelineStats();
     }
 }
@@ -2,6 +2,17 @@ import zlib from 'zlib';
 import Long from 'long';
 import pbjs from 'protobufjs/minimal.js';
 import fs from 'fs';
+import captureStats from './CaptureStats.js';
+import combatEvents, {
+    AttrUpdateEvent,
+    BuffApplyEvent,
+    BuffRemoveEvent,
+    DamageEvent,
+    DeathEvent,
+    EntityAppearEvent,
+    EntityDisappearEvent,
+    HealEvent,
+} from './CombatEvents.js';
 import logger from './Logger.js';
 import { createRequire } from 'module';
 import monsterNames from '../tables/monster_names.json' with { type: 'json' };
@@ -30,6 +41,8 @@ const NotifyMethod = {
     SyncToMeDeltaInfo: 0x0000002e,
 };
 
+const NotifyMethodNames = Object.fromEntries(Object.entries(NotifyMethod).map(([name, id]) => [id, name]));
+
 const AttrType = {
     AttrName: 0x01,
     AttrId: 0x0a,
@@ -61,15 +74,6 @@ const ProfessionType = {
     SoulMusician: 13,
 };
 
-const EDamageSource = {
-    EDamageSourceSkill: 0,
-    EDamageSourceBullet: 1,
-    EDamageSourceBuff: 2,
-    EDamageSourceFall: 3,
-    EDamageSourceFakeBullet: 4,
-    EDamageSourceOther: 100,
-};
-
 const EDamageProperty = {
     General: 0,
     Fire: 1,
@@ -139,29 +143,15 @@ const getDamageElement = (damageProperty) => {
     }
 };
 
-const getDamageSource = (damageSource) => {
-    switch (damageSource) {
-        case EDamageSource.EDamageSourceSkill:
-            return 'Skill';
-        case EDamageSource.EDamageSourceBullet:
-            return 'Bullet';
-        case EDamageSource.EDamageSourceBuff:
-            return 'Buff';
-        case EDamageSource.EDamageSourceFall:
-            return 'Fall';
-        case EDamageSource.EDamageSourceFakeBullet:
-            return 'FBullet';
-        case EDamageSource.EDamageSourceOther:
-            return 'Other';
-        default:
-            return 'Unknown';
-    }
-};
-
 const isUuidPlayer = (uuid) => {
     return (uuid.toBigInt() & 0xffffn) === 640n;
 };
 
+// protobufjs decodes 64-bit fields as Long and the rest as numbers
+const toNumber = (value) => {
+    return Long.isLong(value) ? value.toNumber() : Number(value);
+};
+
 const isUuidMonster = (uuid) => {
     return (uuid.toBigInt() & 0xffffn) === 64n;
 };
@@ -197,11 +187,58 @@ const streamReadString = (reader) => {
     return buffer.toString();
 };
 
-let currentUserUuid = Long.ZERO;
+// Dirty data addresses CharSerialize fields by number. The numbers of TeamData and its TeamId and LeaderId are read
+// back from the generated encoder instead of hardcoded, null when pb has no such fields
+const TeamDataField = (() => {
+    const fieldNumber = (teamData, depth) => {
+        const reader = pbjs.Reader.create(pb.CharSerialize.encode({ TeamData: teamData }).finish());
+        for (let i = 0; i < depth; i++) {
+            reader.uint32(); // tag
+            reader.uint32(); // length
+        }
+        return reader.uint32() >>> 3;
+    };
+    try {
+        return {
+            TeamData: fieldNumber({}, 0),
+            TeamId: fieldNumber({ TeamId: 1 }, 1),
+            LeaderId: fieldNumber({ LeaderId: 1 }, 1),
+        };
+    } catch {
+        logger.warn('CharSerialize.TeamData not found, party changes are only read from the full container sync');
+        return null;
+    }
+})();
 
 export class PacketProcessor {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.flowKey] The game connection this processor parses, used to identify its session.
+     * @param {Function} [options.onPlayerIdentified] Called with the player UUID once the local player is known.
+     */
+    constructor(options = {}) {
         this.internalBuffer = Buffer.alloc(0);
+        this.flowKey = options.flowKey || '';
+        this.onPlayerIdentified = options.onPlayerIdentified;
+        this.currentUserUuid = Long.ZERO;
+        this.currentParty = null;
+        this.playerHp = new Map(); // uid -> { hp, maxHp } from the last HP attributes of each player
+    }
+
+    /** Releases the session of this connection. */
+    close() {
+        if (!this.currentUserUuid.isZero()) {
+            userDataManager.removeSession(this.currentUserUuid.shiftRight(16).toNumber(), this.flowKey);
+        }
+    }
+
+    _publishAttr(uid, isPlayer, attr, value) {
+        if (isPlayer && (attr === 'hp' || attr === 'max_hp')) {
+            const playerHp = this.playerHp.get(uid) || { hp: null, maxHp: null };
+            playerHp[attr === 'hp' ? 'hp' : 'maxHp'] = value;
+            this.playerHp.set(uid, playerHp);
+        }
+        combatEvents.publish(new AttrUpdateEvent({ uid, isPlayer, attr, value }));
     }
 
     _decompressPayload(buffer) {
@@ -209,7 +246,12 @@ export class PacketProcessor {
             logger.warn('zstdDecompressSync is not available! Please check your Node.js version!');
             return;
         }
-        return zlib.zstdDecompressSync(buffer);
+        try {
+            return zlib.zstdDecompressSync(buffer);
+        } catch (e) {
+            captureStats.increment('zstdFailures');
+            throw e;
+        }
     }
 
     _processAoiSyncDelta(aoiSyncDelta) {
@@ -225,6 +267,11 @@ export class PacketProcessor {
         const isTargetMonster = isUuidMonster(targetUuid);
         targetUuid = targetUuid.shiftRight(16);
 
+        // Attributes are applied before the damage of the same delta, so they already hold the HP after its hits.
+        // The HP before each hit is worked out from the HP before the delta instead.
+        const hpBeforeDelta = isTargetPlayer ? this.playerHp.get(targetUuid.toNumber()) : undefined;
+        let targetHp = hpBeforeDelta ? hpBeforeDelta.hp : null;
+
         const attrCollection = aoiSyncDelta.Attrs;
         if (attrCollection && attrCollection.Attrs) {
             if (isTargetPlayer) {
@@ -234,6 +281,10 @@ export class PacketProcessor {
             }
         }
 
+        if (isTargetPlayer || isTargetMonster) {
+            this._processBuffs(targetUuid.toNumber(), isTargetPlayer, aoiSyncDelta);
+        }
+
         const skillEffect = aoiSyncDelta.SkillEffects;
         if (!skillEffect || !skillEffect.Damages) {
             return;
@@ -245,10 +296,13 @@ export class PacketProcessor {
                 continue;
             }
 
-            let attackerUuid = syncDamageInfo.TopSummonerId || syncDamageInfo.AttackerUuid;
+            // Summons and pets are attributed to their summoner, the summon is kept as the direct attacker
+            const directAttackerUuid = syncDamageInfo.AttackerUuid;
+            let attackerUuid = syncDamageInfo.TopSummonerId || directAttackerUuid;
             if (!attackerUuid) {
                 continue;
             }
+            const isSummon = !!directAttackerUuid && !directAttackerUuid.eq(attackerUuid);
 
             const isAttackerPlayer = isUuidPlayer(attackerUuid);
             attackerUuid = attackerUuid.shiftRight(16);
@@ -269,91 +323,82 @@ export class PacketProcessor {
             const damageElement = getDamageElement(syncDamageInfo.Property);
             const damageSource = syncDamageInfo.DamageSource ?? 0;
 
-            if (isTargetPlayer) {
-                if (isHeal) {
-                    userDataManager.addHealing(
-                        isAttackerPlayer ? attackerUuid.toNumber() : 0,
-                        skillId,
-                        damageElement,
-                        damage.toNumber(),
-                        isCrit,
-                        isLucky,
-                        isCauseLucky,
-                        targetUuid.toNumber()
-                    );
-                } else {
-                    userDataManager.addTakenDamage(targetUuid.toNumber(), damage.toNumber(), isDead);
-                }
-                if (isDead) {
-                    userDataManager.setAttrKV(targetUuid.toNumber(), 'hp', 0);
-                }
-            } else {
-                if (!isHeal && isAttackerPlayer) {
-                    userDataManager.addDamage(
-                        attackerUuid.toNumber(),
+            const hit = {
+                attackerUid: attackerUuid.toNumber(),
+                isAttackerPlayer,
+                directAttackerUid: isSummon ? directAttackerUuid.shiftRight(16).toNumber() : attackerUuid.toNumber(),
+                isSummon,
+                targetUid: targetUuid.toNumber(),
+                isTargetPlayer,
+                skillId,
+                element: damageElement,
+                property: syncDamageInfo.Property ?? EDamageProperty.General,
+                value: damage.toNumber(),
+                hpLessen: hpLessenValue.toNumber(),
+                isCrit,
+                isLucky,
+                isCauseLucky,
+                isDead,
+                source: damageSource,
+                targetHp,
+            };
+            if (targetHp !== null) {
+                const maxHp = this.playerHp.get(hit.targetUid).maxHp;
+                targetHp = isHeal
+                    ? Math.min(maxHp ?? Infinity, targetHp + hit.value)
+                    : Math.max(0, targetHp - hit.hpLessen);
+            }
+            combatEvents.publish(isHeal ? new HealEvent(hit) : new DamageEvent(hit));
+            if (isDead) {
+                combatEvents.publish(
+                    new DeathEvent({
+                        uid: hit.targetUid,
+                        isPlayer: isTargetPlayer,
+                        killerUid: hit.attackerUid,
                         skillId,
-                        damageElement,
-                        damage.toNumber(),
-                        isCrit,
-                        isLucky,
-                        isCauseLucky,
-                        hpLessenValue.toNumber(),
-                        targetUuid.toNumber()
-                    );
-                }
-                if (isDead) {
-                    userDataManager.deleteEnemyData(targetUuid.toNumber());
-                }
-            }
-
-            let extra = [];
-            if (isCrit) {
-                extra.push('Crit');
-            }
-            if (isLucky) {
-                extra.push('Lucky');
+                    })
+                );
             }
-            if (isCauseLucky) {
-                extra.push('CauseLucky');
-            }
-            if (extra.length === 0) {
-                extra.push('Normal');
-            }
-
-            const actionType = isHeal ? 'HEAL' : 'DMG';
-            let infoStr = `SRC: `;
+        }
+    }
 
-            if (isAttackerPlayer) {
-                const attacker = userDataManager.getUser(attackerUuid.toNumber());
-                if (attacker.name) {
-                    infoStr += attacker.name;
-                }
-                infoStr += `#${attackerUuid.toString()}(player)`;
-            } else {
-                if (userDataManager.enemyCache.name.has(attackerUuid.toNumber())) {
-                    infoStr += userDataManager.enemyCache.name.get(attackerUuid.toNumber());
-                }
-                infoStr += `#${attackerUuid.toString()}(enemy)`;
+    _processBuffs(hostUid, isHostPlayer, aoiSyncDelta) {
+        const buffInfoSync = aoiSyncDelta.BuffInfos;
+        if (buffInfoSync && buffInfoSync.BuffInfos) {
+            for (const buffInfo of buffInfoSync.BuffInfos) {
+                if (buffInfo.BuffUuid == null || !buffInfo.BaseId) {
+                    continue;
+                }
+                const fireUuid = buffInfo.FireUuid;
+                combatEvents.publish(
+                    new BuffApplyEvent({
+                        uid: hostUid,
+                        isPlayer: isHostPlayer,
+                        buffUuid: toNumber(buffInfo.BuffUuid),
+                        buffId: buffInfo.BaseId,
+                        stacks: buffInfo.Layer || 1,
+                        sourceUid: fireUuid ? fireUuid.shiftRight(16).toNumber() : 0,
+                        isSourcePlayer: fireUuid ? isUuidPlayer(fireUuid) : false,
+                        duration: buffInfo.Duration || 0,
+                    })
+                );
             }
+        }
 
-            let targetName = '';
-            if (isTargetPlayer) {
-                const target = userDataManager.getUser(targetUuid.toNumber());
-                if (target.name) {
-                    targetName += target.name;
-                }
-                targetName += `#${targetUuid.toString()}(player)`;
-            } else {
-                if (userDataManager.enemyCache.name.has(targetUuid.toNumber())) {
-                    targetName += userDataManager.enemyCache.name.get(targetUuid.toNumber());
+        const buffEffectSync = aoiSyncDelta.BuffEffect;
+        if (buffEffectSync && buffEffectSync.BuffEffects) {
+            for (const buffEffect of buffEffectSync.BuffEffects) {
+                if (buffEffect.Type !== pb.EBuffEventType.BuffEventRemove || buffEffect.BuffUuid == null) {
+                    continue;
                 }
-                targetName += `#${targetUuid.toString()}(enemy)`;
+                combatEvents.publish(
+                    new BuffRemoveEvent({
+                        uid: hostUid,
+                        isPlayer: isHostPlayer,
+                        buffUuid: toNumber(buffEffect.BuffUuid),
+                    })
+                );
             }
-
-            infoStr += ` TGT: ${targetName}`;
-            const dmgLog = `[${actionType}] DS: ${getDamageSource(damageSource)} ${infoStr} ID: ${skillId} VAL: ${damage} HPLSN: ${hpLessenValue} ELEM: ${damageElement.slice(-1)} EXT: ${extra.join('|')}`;
-            //logger.info(dmgLog);
-            userDataManager.addLog(dmgLog);
         }
     }
 
@@ -370,10 +415,8 @@ export class PacketProcessor {
     _processSyncToMeDeltaInfo(payloadBuffer) {
         const syncToMeDeltaInfo = pb.SyncToMeDeltaInfo.decode(payloadBuffer);
         const aoiSyncToMeDelta = syncToMeDeltaInfo.DeltaInfo;
-        const uuid = aoiSyncToMeDelta.Uuid;
-        if (uuid && !currentUserUuid.eq(uuid)) {
-            currentUserUuid = uuid;
-            logger.info('Got player UUID! UUID: ' + currentUserUuid + ' UID: ' + currentUserUuid.shiftRight(16));
+        if (aoiSyncToMeDelta.Uuid) {
+            this._setCurrentUser(aoiSyncToMeDelta.Uuid);
         }
         const aoiSyncDelta = aoiSyncToMeDelta.BaseDelta;
         if (!aoiSyncDelta) {
@@ -382,55 +425,122 @@ export class PacketProcessor {
         this._processAoiSyncDelta(aoiSyncDelta);
     }
 
+    _setCurrentUser(uuid) {
+        if (this.currentUserUuid.eq(uuid)) {
+            return;
+        }
+        const previousUid = this.currentUserUuid.shiftRight(16).toNumber();
+        this.currentUserUuid = uuid;
+        logger.info('Got player UUID! UUID: ' + this.currentUserUuid + ' UID: ' + this.currentUserUuid.shiftRight(16));
+        if (this.onPlayerIdentified) {
+            this.onPlayerIdentified(uuid);
+        }
+        if (previousUid) {
+            userDataManager.removeSession(previousUid, this.flowKey);
+        }
+        const uid = uuid.shiftRight(16).toNumber();
+        userDataManager.registerSession(uid, this.flowKey);
+        userDataManager.setActiveSession(uid);
+        if (this.currentParty) {
+            userDataManager.setSessionParty(uid, this.currentParty);
+        }
+    }
+
     _processSyncContainerData(payloadBuffer) {
         try {
             const syncContainerData = pb.SyncContainerData.decode(payloadBuffer);
             if (!syncContainerData.VData) {
                 return;
             }
-            const vData = syncContainerData.VData;
-            if (!vData.CharId) {
-                return;
-            }
-            const playerUid = vData.CharId.toNumber();
-
-            if (vData.RoleLevel && vData.RoleLevel.Level) {
-                userDataManager.setAttrKV(playerUid, 'level', vData.RoleLevel.Level);
-            }
-            if (vData.Attr && vData.Attr.CurHp) {
-                userDataManager.setAttrKV(playerUid, 'hp', vData.Attr.CurHp.toNumber());
-            }
-            if (vData.Attr && vData.Attr.MaxHp) {
-                userDataManager.setAttrKV(playerUid, 'max_hp', vData.Attr.MaxHp.toNumber());
-            }
-            if (!vData.CharBase) {
-                return;
-            }
-            const charBase = vData.CharBase;
-            if (charBase.Name) {
-                userDataManager.setName(playerUid, charBase.Name);
-            }
-            if (charBase.FightPoint) {
-                userDataManager.setFightPoint(playerUid, charBase.FightPoint);
-            }
-            if (!vData.ProfessionList) {
-                return;
-            }
-            const professionList = vData.ProfessionList;
-            if (professionList.CurProfessionId) {
-                userDataManager.setProfession(playerUid, getProfessionNameFromId(professionList.CurProfessionId));
-            }
+            this._processCharData(syncContainerData.VData);
         } catch (err) {
             fs.writeFileSync('./SyncContainerData.dat', payloadBuffer);
             logger.warn(
-                `Failed to decode SyncContainerData for player ${currentUserUuid.shiftRight(16)}. Please report to developer`
+                `Failed to decode SyncContainerData for player ${this.currentUserUuid.shiftRight(16)}. Please report to developer`
             );
             throw err;
         }
     }
 
+    _processCharData(vData) {
+        if (!vData.CharId) {
+            return;
+        }
+        const playerUid = vData.CharId.toNumber();
+
+        if (vData.RoleLevel && vData.RoleLevel.Level) {
+            this._publishAttr(playerUid, true, 'level', vData.RoleLevel.Level);
+        }
+        if (vData.Attr && vData.Attr.CurHp) {
+            this._publishAttr(playerUid, true, 'hp', vData.Attr.CurHp.toNumber());
+        }
+        if (vData.Attr && vData.Attr.MaxHp) {
+            this._publishAttr(playerUid, true, 'max_hp', vData.Attr.MaxHp.toNumber());
+        }
+        if (vData.TeamData) {
+            this._processTeamData(playerUid, vData.TeamData);
+        }
+        if (!vData.CharBase) {
+            return;
+        }
+        const charBase = vData.CharBase;
+        if (charBase.Name) {
+            this._publishAttr(playerUid, true, 'name', charBase.Name);
+        }
+        if (charBase.FightPoint) {
+            this._publishAttr(playerUid, true, 'fight_point', charBase.FightPoint);
+        }
+        if (!vData.ProfessionList) {
+            return;
+        }
+        const professionList = vData.ProfessionList;
+        if (professionList.CurProfessionId) {
+            this._publishAttr(playerUid, true, 'profession', getProfessionNameFromId(professionList.CurProfessionId));
+        }
+    }
+
+    // The CharTeam of the local player, its CharIds are the uids of every member including the player.
+    // The TeamId, LeaderId and CharIds names come from the generated pb module and are not checked against a capture
+    _processTeamData(playerUid, teamData) {
+        const teamId = teamData.TeamId ? toNumber(teamData.TeamId) : 0;
+        this.currentParty = {
+            teamId,
+            leaderUid: teamData.LeaderId ? toNumber(teamData.LeaderId) : 0,
+            memberUids: teamId && teamData.CharIds ? teamData.CharIds.map(toNumber) : [],
+        };
+        logger.info(
+            `Party of ${playerUid}: team ${teamId}, members ${this.currentParty.memberUids.join(', ') || 'none'}`
+        );
+        userDataManager.setSessionParty(playerUid, this.currentParty);
+    }
+
+    // Changes to the TeamData of the local player. Only TeamId and LeaderId are read, like the full sync this layout
+    // is not checked against a capture. The dirty data carries no member list, so the last one from a full
+    // TeamData is kept: clearing it would hide the real party until the next full sync
+    _processTeamDataDirty(messageReader) {
+        if (!doesStreamHaveIdentifier(messageReader)) {
+            return;
+        }
+        const fieldIndex = messageReader.readUInt32LE();
+        messageReader.readInt32();
+        if (fieldIndex !== TeamDataField.TeamId && fieldIndex !== TeamDataField.LeaderId) {
+            return;
+        }
+        const value = Number(messageReader.readBytes(8).readBigInt64LE());
+        const party = this.currentParty || { teamId: 0, leaderUid: 0, memberUids: [] };
+        const key = fieldIndex === TeamDataField.TeamId ? 'teamId' : 'leaderUid';
+        if (party[key] === value) {
+            return;
+        }
+        this.currentParty = { ...party, [key]: value };
+
+        const playerUid = this.currentUserUuid.shiftRight(16).toNumber();
+        logger.info(`Party of ${playerUid} changed: team ${this.currentParty.teamId}`);
+        userDataManager.setSessionParty(playerUid, this.currentParty);
+    }
+
     _processSyncContainerDirtyData(payloadBuffer) {
-        if (currentUserUuid.isZero()) {
+        if (this.currentUserUuid.isZero()) {
             return;
         }
 
@@ -449,6 +559,11 @@ export class PacketProcessor {
         let fieldIndex = messageReader.readUInt32LE();
         messageReader.readInt32();
 
+        if (TeamDataField && fieldIndex === TeamDataField.TeamData) {
+            this._processTeamDataDirty(messageReader);
+            return;
+        }
+
         switch (fieldIndex) {
             case 2: // CharBase
                 if (!doesStreamHaveIdentifier(messageReader)) {
@@ -463,14 +578,19 @@ export class PacketProcessor {
                         if (!playerName || playerName === '') {
                             break;
                         }
-                        userDataManager.setName(currentUserUuid.shiftRight(16).toNumber(), playerName);
+                        this._publishAttr(this.currentUserUuid.shiftRight(16).toNumber(), true, 'name', playerName);
                         break;
                     }
                     case 35: {
                         // FightPoint
                         const fightPoint = messageReader.readUInt32LE();
                         messageReader.readInt32();
-                        userDataManager.setFightPoint(currentUserUuid.shiftRight(16).toNumber(), fightPoint);
+                        this._publishAttr(
+                            this.currentUserUuid.shiftRight(16).toNumber(),
+                            true,
+                            'fight_point',
+                            fightPoint
+                        );
                         break;
                     }
                 }
@@ -485,13 +605,13 @@ export class PacketProcessor {
                     case 1: {
                         // CurHp
                         const curHp = messageReader.readUInt32LE();
-                        userDataManager.setAttrKV(currentUserUuid.shiftRight(16).toNumber(), 'hp', curHp);
+                        this._publishAttr(this.currentUserUuid.shiftRight(16).toNumber(), true, 'hp', curHp);
                         break;
                     }
                     case 2: {
                         // MaxHp
                         const maxHp = messageReader.readUInt32LE();
-                        userDataManager.setAttrKV(currentUserUuid.shiftRight(16).toNumber(), 'max_hp', maxHp);
+                        this._publishAttr(this.currentUserUuid.shiftRight(16).toNumber(), true, 'max_hp', maxHp);
                         break;
                     }
                 }
@@ -507,8 +627,10 @@ export class PacketProcessor {
                     const curProfessionId = messageReader.readUInt32LE();
                     messageReader.readInt32();
                     if (curProfessionId) {
-                        userDataManager.setProfession(
-                            currentUserUuid.shiftRight(16).toNumber(),
+                        this._publishAttr(
+                            this.currentUserUuid.shiftRight(16).toNumber(),
+                            true,
+                            'profession',
                             getProfessionNameFromId(curProfessionId)
                         );
                     }
@@ -525,51 +647,51 @@ export class PacketProcessor {
             const reader = pbjs.Reader.create(attr.RawData);
             switch (attr.Id) {
                 case AttrType.AttrName: {
-                    userDataManager.setName(playerUid, reader.string());
+                    this._publishAttr(playerUid, true, 'name', reader.string());
                     break;
                 }
                 case AttrType.AttrProfessionId: {
-                    userDataManager.setProfession(playerUid, getProfessionNameFromId(reader.int32()));
+                    this._publishAttr(playerUid, true, 'profession', getProfessionNameFromId(reader.int32()));
                     break;
                 }
                 case AttrType.AttrFightPoint: {
-                    userDataManager.setFightPoint(playerUid, reader.int32());
+                    this._publishAttr(playerUid, true, 'fight_point', reader.int32());
                     break;
                 }
                 case AttrType.AttrLevel: {
-                    userDataManager.setAttrKV(playerUid, 'level', reader.int32());
+                    this._publishAttr(playerUid, true, 'level', reader.int32());
                     break;
                 }
                 case AttrType.AttrRankLevel: {
-                    userDataManager.setAttrKV(playerUid, 'rank_level', reader.int32());
+                    this._publishAttr(playerUid, true, 'rank_level', reader.int32());
                     break;
                 }
                 case AttrType.AttrCri: {
-                    userDataManager.setAttrKV(playerUid, 'cri', reader.int32());
+                    this._publishAttr(playerUid, true, 'cri', reader.int32());
                     break;
                 }
                 case AttrType.AttrLucky: {
-                    userDataManager.setAttrKV(playerUid, 'lucky', reader.int32());
+                    this._publishAttr(playerUid, true, 'lucky', reader.int32());
                     break;
                 }
                 case AttrType.AttrHp: {
-                    userDataManager.setAttrKV(playerUid, 'hp', reader.int32());
+                    this._publishAttr(playerUid, true, 'hp', reader.int32());
                     break;
                 }
                 case AttrType.AttrMaxHp: {
-                    userDataManager.setAttrKV(playerUid, 'max_hp', reader.int32());
+                    this._publishAttr(playerUid, true, 'max_hp', reader.int32());
                     break;
                 }
                 case AttrType.AttrElementFlag: {
-                    userDataManager.setAttrKV(playerUid, 'element_flag', reader.int32());
+                    this._publishAttr(playerUid, true, 'element_flag', reader.int32());
                     break;
                 }
                 case AttrType.AttrEnergyFlag: {
-                    userDataManager.setAttrKV(playerUid, 'energy_flag', reader.int32());
+                    this._publishAttr(playerUid, true, 'energy_flag', reader.int32());
                     break;
                 }
                 case AttrType.AttrReductionLevel: {
-                    userDataManager.setAttrKV(playerUid, 'reduction_level', reader.int32());
+                    this._publishAttr(playerUid, true, 'reduction_level', reader.int32());
                     break;
                 }
             }
@@ -585,25 +707,26 @@ export class PacketProcessor {
             switch (attr.Id) {
                 case AttrType.AttrName: {
                     const enemyName = reader.string();
-                    userDataManager.enemyCache.name.set(enemyUid, enemyName);
+                    this._publishAttr(enemyUid, false, 'name', enemyName);
                     logger.info(`Found monster name ${enemyName} for id ${enemyUid}`);
                     break;
                 }
                 case AttrType.AttrId: {
                     const attrId = reader.int32();
+                    this._publishAttr(enemyUid, false, 'template_id', attrId);
                     const name = monsterNames[attrId];
                     if (name) {
                         logger.info(`Found monster name ${name} for id ${enemyUid}`);
-                        userDataManager.enemyCache.name.set(enemyUid, name);
+                        this._publishAttr(enemyUid, false, 'name', name);
                     }
                     break;
                 }
                 case AttrType.AttrHp: {
-                    userDataManager.enemyCache.hp.set(enemyUid, reader.int32());
+                    this._publishAttr(enemyUid, false, 'hp', reader.int32());
                     break;
                 }
                 case AttrType.AttrMaxHp: {
-                    userDataManager.enemyCache.maxHp.set(enemyUid, reader.int32());
+                    this._publishAttr(enemyUid, false, 'max_hp', reader.int32());
                     break;
                 }
             }
@@ -612,6 +735,9 @@ export class PacketProcessor {
 
     _processSyncNearEntities(payloadBuffer) {
         const syncNearEntities = pb.SyncNearEntities.decode(payloadBuffer);
+        if (syncNearEntities.Disappear) {
+            this._processDisappearEntities(syncNearEntities.Disappear);
+        }
         if (!syncNearEntities.Appear) {
             return;
         }
@@ -634,6 +760,29 @@ export class PacketProcessor {
                     }
                 }
             }
+            combatEvents.publish(
+                new EntityAppearEvent({
+                    uid: entityUid,
+                    isPlayer: entity.EntType === pb.EEntityType.EntChar,
+                    entityType: entity.EntType,
+                })
+            );
+        }
+    }
+
+    _processDisappearEntities(entities) {
+        for (const entity of entities) {
+            const entityUuid = entity.Uuid;
+            if (!entityUuid) {
+                continue;
+            }
+            combatEvents.publish(
+                new EntityDisappearEvent({
+                    uid: entityUuid.shiftRight(16).toNumber(),
+                    isPlayer: isUuidPlayer(entityUuid),
+                    reason: entity.Type ?? 0,
+                })
+            );
         }
     }
 
@@ -649,31 +798,37 @@ export class PacketProcessor {
         if (isZstdCompressed) {
             msgPayload = this._decompressPayload(msgPayload);
         }
-        switch (methodId) {
-            case NotifyMethod.SyncNearEntities: {
-                this._processSyncNearEntities(msgPayload);
-                break;
-            }
-            case NotifyMethod.SyncContainerData: {
-                this._processSyncContainerData(msgPayload);
-                break;
-            }
-            case NotifyMethod.SyncContainerDirtyData: {
-                this._processSyncContainerDirtyData(msgPayload);
-                break;
-            }
-            case NotifyMethod.SyncToMeDeltaInfo: {
-                this._processSyncToMeDeltaInfo(msgPayload);
-                break;
-            }
-            case NotifyMethod.SyncNearDeltaInfo: {
-                this._processSyncNearDeltaInfo(msgPayload);
-                break;
-            }
-            default: {
-                logger.debug(`Skipping NotifyMsg with methodId ${methodId}`);
-                break;
+        try {
+            switch (methodId) {
+                case NotifyMethod.SyncNearEntities: {
+                    this._processSyncNearEntities(msgPayload);
+                    break;
+                }
+                case NotifyMethod.SyncContainerData: {
+                    this._processSyncContainerData(msgPayload);
+                    break;
+                }
+                case NotifyMethod.SyncContainerDirtyData: {
+                    this._processSyncContainerDirtyData(msgPayload);
+                    break;
+                }
+                case NotifyMethod.SyncToMeDeltaInfo: {
+                    this._processSyncToMeDeltaInfo(msgPayload);
+                    break;
+                }
+                case NotifyMethod.SyncNearDeltaInfo: {
+                    this._processSyncNearDeltaInfo(msgPayload);
+                    break;
+                }
+                default: {
+                    logger.debug(`Skipping NotifyMsg with methodId ${methodId}`);
+                    break;
+                }
             }
+        } catch (e) {
+            const methodName = NotifyMethodNames[methodId] || `0x${methodId.toString(16)}`;
+            captureStats.recordDecodeError(methodName);
+            logger.warn(`Failed to decode NotifyMsg ${methodName}: ${e.message}`);
         }
     }
 
@@ -682,6 +837,7 @@ export class PacketProcessor {
     }
 
     processPacket(packets) {
+        userDataManager.setActiveSession(this.currentUserUuid.shiftRight(16).toNumber());
         try {
             const packetsReader = new BinaryReader(packets);
             const MIN_PACKET_SIZE = 6;
@@ -689,6 +845,7 @@ export class PacketProcessor {
             while (packetsReader.remaining() >= MIN_PACKET_SIZE) {
                 const packetSize = packetsReader.peekUInt32();
                 if (packetSize < MIN_PACKET_SIZE || packetSize > MAX_PACKET_SIZE) {
+                    captureStats.increment('invalidLengthDiscards');
                     logger.warn(`Invalid packet length detected: ${packetSize}. Discarding corrupt buffer.`);
                     return;
                 }
@@ -729,7 +886,7 @@ export class PacketProcessor {
             }
         } catch (e) {
             logger.error(
-                `Fatal error while parsing packet data for player ${currentUserUuid.shiftRight(16)}.\nErr: ${e.stack}`
+                `Fatal error while parsing packet data for player ${this.currentUserUuid.shiftRight(16)}.\nErr: ${e.stack}`
             );
         }
     }
@@ -756,6 +913,7 @@ export class PacketProcessor {
             }
             const packetSize = this.internalBuffer.readUInt32LE(0);
             if (packetSize < MIN_PACKET_SIZE || packetSize > MAX_PACKET_SIZE) {
+                captureStats.increment('invalidLengthDiscards');
                 logger.warn(`Invalid packet length detected: ${packetSize}. Clearing internal buffer.`);
                 this.internalBuffer = Buffer.alloc(0);
                 break;
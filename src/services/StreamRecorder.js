@@ -0,0 +1,110 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import logger from './Logger.js';
+import { config } from '../config.js';
+import {
+    STREAM_RECORDING_HEADER_SIZE,
+    STREAM_RECORDING_MAGIC,
+    STREAM_RECORDING_VERSION,
+    STREAM_RECORD_HEADER_SIZE,
+} from '../models/StreamRecordingParser.js';
+
+/**
+ * Records the reassembled game stream, i.e. every server-identified payload handed to the PacketProcessor.
+ */
+class StreamRecorder {
+    constructor() {
+        this.stream = null;
+        this.filePath = null;
+        this.startTime = 0;
+        this.packets = 0;
+        this.bytes = 0;
+    }
+
+    isRecording() {
+        return this.stream !== null;
+    }
+
+    /**
+     * Starts a new recording.
+     * @param {string} [filePath] Output file, defaults to logs/recordings/stream_<timestamp>.bpsr in the data directory
+     * @returns {Promise<string>} The path of the recording file.
+     */
+    async start(filePath) {
+        if (this.stream) {
+            throw new Error(`Already recording to ${this.filePath}`);
+        }
+
+        this.startTime = Date.now();
+        this.filePath = filePath || config.getDataPath('logs', 'recordings', `stream_${this.startTime}.bpsr`);
+        await fsPromises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        const header = Buffer.alloc(STREAM_RECORDING_HEADER_SIZE);
+        STREAM_RECORDING_MAGIC.copy(header, 0);
+        header.writeUInt16BE(STREAM_RECORDING_VERSION, 8);
+        header.writeBigUInt64BE(BigInt(this.startTime), 10);
+
+        this.stream = fs.createWriteStream(this.filePath);
+        this.stream.on('error', (error) => {
+            logger.error(`Failed to write stream recording ${this.filePath}: ${error.message}`);
+            this.stream = null;
+        });
+        this.stream.write(header);
+        this.packets = 0;
+        this.bytes = header.length;
+
+        logger.info(`Started recording game stream to ${this.filePath}`);
+        return this.filePath;
+    }
+
+    /**
+     * Appends a reassembled payload to the recording, does nothing when not recording.
+     * @param {string} flowKey The game connection the payload came from, playback keeps connections apart by it.
+     * @param {Buffer} payload
+     */
+    record(flowKey, payload) {
+        if (!this.stream) return;
+
+        const key = Buffer.from(flowKey, 'utf8');
+        const recordHeader = Buffer.alloc(STREAM_RECORD_HEADER_SIZE + key.length);
+        recordHeader.writeUInt32BE(Math.max(0, Date.now() - this.startTime), 0);
+        recordHeader.writeUInt32BE(payload.length, 4);
+        recordHeader.writeUInt16BE(key.length, 8);
+        key.copy(recordHeader, STREAM_RECORD_HEADER_SIZE);
+        this.stream.write(recordHeader);
+        // The payload is a view into the reassembly buffer, copy it before it is reused
+        this.stream.write(Buffer.from(payload));
+        this.packets++;
+        this.bytes += recordHeader.length + payload.length;
+    }
+
+    /**
+     * Stops the current recording.
+     * @returns {Promise<object|null>} The recording status, or null when not recording.
+     */
+    async stop() {
+        if (!this.stream) return null;
+
+        const stream = this.stream;
+        this.stream = null;
+        const status = this.getStatus();
+        await new Promise((resolve) => stream.end(resolve));
+
+        logger.info(`Stopped recording game stream, ${status.packets} packets (${status.bytes} bytes) saved`);
+        return status;
+    }
+
+    getStatus() {
+        return {
+            recording: this.isRecording(),
+            file: this.filePath,
+            startTime: this.startTime,
+            packets: this.packets,
+            bytes: this.bytes,
+        };
+    }
+}
+
+const streamRecorder = new StreamRecorder();
+export default streamRecorder;
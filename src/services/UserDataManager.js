@@ -1,17 +1,30 @@
 import { UserData } from '../models/UserData.js';
 import { Lock } from '../models/Lock.js';
+import { ElementProfile } from '../models/ElementProfile.js';
+import { TargetFilter } from '../models/TargetFilter.js';
 import { config } from '../config.js';
 import socket from './Socket.js';
 import logger from './Logger.js';
 import fsPromises from 'fs/promises';
 import path from 'path';
 import fightHistoryManager from './FightHistoryManager.js';
+import combatEvents, {
+    AttrUpdateEvent,
+    BuffApplyEvent,
+    BuffRemoveEvent,
+    DamageEvent,
+    DeathEvent,
+    EntityDisappearEvent,
+    HealEvent,
+    getDamageSource,
+} from './CombatEvents.js';
 
 class UserDataManager {
     constructor(logger) {
         this.users = new Map();
         this.userCache = new Map();
-        this.cacheFilePath = './users.json';
+        // Players removed from the meter whose data still belongs to the current fight
+        this.departedUsers = new Map();
 
         this.saveThrottleDelay = 2000;
         this.saveThrottleTimer = null;
@@ -27,18 +40,32 @@ class UserDataManager {
             name: new Map(),
             hp: new Map(),
             maxHp: new Map(),
+            templateId: new Map(),
         };
 
+        // Targets damage is recorded against, see getTargetFilter
+        this.targetFilter = null;
+        this.targetFilterSettings = null;
+        this.bossUid = null; // Set by the boss tracker
+        this.currentTargetUid = null; // Enemy the local player hit last
+
+        // Game client sessions keyed by the local player uid. Only the viewed session records combat data,
+        // so two clients in the same fight are not counted twice.
+        this.sessions = new Map();
+        this.activeSessionUid = 0;
+        this.viewedSessionUid = 0;
+
         // 自动保存
         this.lastAutoSaveTime = 0;
         this.lastLogTime = 0;
         setInterval(() => {
             if (this.lastLogTime < this.lastAutoSaveTime) return;
             this.lastAutoSaveTime = Date.now();
-            this.saveAllUserData();
+            const historyUsers = this.getHistoryUsers();
+            this.saveAllUserData(historyUsers);
             
             // Save user data snapshot to current fight
-            fightHistoryManager.saveUserDataSnapshot(this.users);
+            fightHistoryManager.saveUserDataSnapshot(historyUsers, this.getElementsData(historyUsers));
         }, 10 * 1000);
 
         // New: Interval to clean up inactive users every 30 seconds
@@ -50,6 +77,15 @@ class UserDataManager {
         setInterval(() => {
             fightHistoryManager.checkForInactivity(Date.now());
         }, 5000);
+
+        // Combat data decoded by the packet processors
+        combatEvents.subscribe(DamageEvent, (event) => this.onDamage(event));
+        combatEvents.subscribe(HealEvent, (event) => this.onHeal(event));
+        combatEvents.subscribe(DeathEvent, (event) => this.onDeath(event));
+        combatEvents.subscribe(AttrUpdateEvent, (event) => this.onAttrUpdate(event));
+        combatEvents.subscribe(EntityDisappearEvent, (event) => this.onEntityDisappear(event));
+        combatEvents.subscribe(BuffApplyEvent, (event) => this.onBuffApply(event));
+        combatEvents.subscribe(BuffRemoveEvent, (event) => this.onBuffRemove(event));
     }
 
     // New: Method to remove users who have not been updated in 60 seconds
@@ -59,14 +95,59 @@ class UserDataManager {
 
         for (const [uid, user] of this.users.entries()) {
             if (currentTime - user.lastUpdateTime > inactiveThreshold) {
-                socket.emit('user_deleted', { uid });
-
-                this.users.delete(uid);
+                this.removeUserFromMeter(uid);
                 logger.info(`Removed inactive user with uid ${uid}`);
             }
         }
     }
 
+    // Hides a player from the meter, the data is kept for the fight history and restored if the player returns
+    removeUserFromMeter(uid) {
+        const user = this.users.get(uid);
+        if (!user) return;
+        this.users.delete(uid);
+        if (user.lastFightId && user.lastFightId === fightHistoryManager.currentFightId) {
+            this.departedUsers.set(uid, user);
+        }
+        socket.emit('user_deleted', { uid });
+    }
+
+    // Users of the current fight, including the ones that left the meter
+    getFightUsers() {
+        for (const [uid, user] of this.departedUsers) {
+            if (user.lastFightId !== fightHistoryManager.currentFightId) {
+                this.departedUsers.delete(uid);
+            }
+        }
+        if (this.departedUsers.size === 0) {
+            return this.users;
+        }
+        return new Map([...this.departedUsers, ...this.users]);
+    }
+
+    // Fight users that are saved to the history, partyOnlyHistory leaves the other players out even without partyOnly
+    getHistoryUsers() {
+        return this.filterPartyUsers(this.getFightUsers(), config.GLOBAL_SETTINGS.partyOnlyHistory);
+    }
+
+    // The local player of the viewed session, its party members and the whitelisted uids
+    isPartyMember(uid) {
+        if (uid === this.viewedSessionUid) return true;
+        const session = this.sessions.get(this.viewedSessionUid);
+        if (session && session.party && session.party.memberUids.includes(uid)) return true;
+        return (config.GLOBAL_SETTINGS.partyWhitelist || []).some((whitelisted) => Number(whitelisted) === uid);
+    }
+
+    // Keeps only the party when party-only mode, or the given setting, is on
+    filterPartyUsers(users, enabled = config.GLOBAL_SETTINGS.partyOnly) {
+        if (!enabled) return users;
+        return new Map(Array.from(users).filter(([uid]) => this.isPartyMember(uid)));
+    }
+
+    get cacheFilePath() {
+        return config.getDataPath('users.json');
+    }
+
     async init() {
         await this.loadUserCache();
         await fightHistoryManager.loadFightHistory();
@@ -110,7 +191,7 @@ class UserDataManager {
     }
 
     async forceUserCacheSave() {
-        await this.saveAllUserData(this.users, this.startTime);
+        await this.saveAllUserData(this.getHistoryUsers(), this.startTime);
         if (this.saveThrottleTimer) {
             clearTimeout(this.saveThrottleTimer);
             this.saveThrottleTimer = null;
@@ -122,6 +203,10 @@ class UserDataManager {
     }
 
     getUser(uid) {
+        if (this.departedUsers.has(uid)) {
+            this.users.set(uid, this.departedUsers.get(uid));
+            this.departedUsers.delete(uid);
+        }
         if (!this.users.has(uid)) {
             const user = new UserData(uid);
             const cachedData = this.userCache.get(String(uid));
@@ -147,11 +232,13 @@ class UserDataManager {
         return this.users.get(uid);
     }
 
-    addDamage(uid, skillId, element, damage, isCrit, isLucky, isCauseLucky, hpLessenValue = 0, targetUid) {
+    // Records a DamageEvent dealt by a player
+    addDamage(event) {
         if (config.IS_PAUSED) return;
-        if (config.GLOBAL_SETTINGS.onlyRecordEliteDummy && targetUid !== 75) return;
+        if (!this.isRecordingSession()) return;
+        if (!this.isTargetRecorded(event.targetUid)) return;
         this.checkTimeoutClear();
-        const user = this.getUser(uid);
+        const user = this.getUser(event.attackerUid);
         
         // Check if this is the first damage after a new fight started
         const currentFightId = fightHistoryManager.currentFightId;
@@ -162,17 +249,33 @@ class UserDataManager {
             user.lastFightId = currentFightId;
         }
         
-        user.addDamage(skillId, element, damage, isCrit, isLucky, isCauseLucky, hpLessenValue);
+        user.addDamage({
+            skillId: event.skillId,
+            element: event.element,
+            damage: event.value,
+            isCrit: event.isCrit,
+            isLucky: event.isLucky,
+            isCauseLucky: event.isCauseLucky,
+            hpLessenValue: event.hpLessen,
+            targetUid: event.targetUid,
+            targetName: this.enemyCache.name.get(event.targetUid),
+            summon: this.getHitSummon(event),
+            damageSource: getDamageSource(event.source),
+            isDead: event.isDead,
+        });
         
         // Record activity for fight history
-        fightHistoryManager.recordActivity(Date.now(), 'damage', damage);
+        fightHistoryManager.recordActivity(Date.now(), 'damage', event.value);
     }
 
-    addHealing(uid, skillId, element, healing, isCrit, isLucky, isCauseLucky, targetUid) {
+    // Records a HealEvent on a player, only heals cast by a player are added to the meter
+    addHealing(event) {
         if (config.IS_PAUSED) return;
+        if (!this.isRecordingSession()) return;
         this.checkTimeoutClear();
-        if (uid !== 0) {
-            const user = this.getUser(uid);
+        const overheal = this.getOverheal(event.targetUid, event.value, event.targetHp);
+        if (event.isAttackerPlayer && event.attackerUid !== 0) {
+            const user = this.getUser(event.attackerUid);
             
             // Check if this is the first healing after a new fight started
             const currentFightId = fightHistoryManager.currentFightId;
@@ -183,24 +286,254 @@ class UserDataManager {
                 user.lastFightId = currentFightId;
             }
             
-            user.addHealing(skillId, element, healing, isCrit, isLucky, isCauseLucky);
+            user.addHealing({
+                skillId: event.skillId,
+                element: event.element,
+                healing: event.value,
+                isCrit: event.isCrit,
+                isLucky: event.isLucky,
+                isCauseLucky: event.isCauseLucky,
+                overheal,
+                summon: this.getHitSummon(event),
+                damageSource: getDamageSource(event.source),
+            });
             
             // Record activity for fight history
-            fightHistoryManager.recordActivity(Date.now(), 'healing', healing);
+            fightHistoryManager.recordActivity(Date.now(), 'healing', event.value);
         }
     }
 
-    addTakenDamage(uid, damage, isDead) {
+    // Returns the part of a heal above the HP the target was missing right before it, targetHp is null when unknown
+    getOverheal(targetUid, healing, targetHp) {
+        const target = this.users.get(targetUid);
+        const maxHp = target && target.attr.max_hp;
+        if (!maxHp || targetHp === null || targetHp === undefined) return 0;
+        return healing - Math.min(healing, Math.max(0, maxHp - targetHp));
+    }
+
+    addTakenDamage(uid, damage, isDead, hit) {
         if (config.IS_PAUSED) return;
+        if (!this.isRecordingSession()) return;
         this.checkTimeoutClear();
         const user = this.getUser(uid);
-        user.addTakenDamage(damage, isDead);
+        user.addTakenDamage(damage, isDead, hit);
+    }
+
+    // Display name of a player or an enemy, falls back to the uid while the name is unknown
+    getEntityName(uid, isPlayer) {
+        const name = isPlayer
+            ? this.users.has(uid) && this.users.get(uid).name
+            : this.enemyCache.name.get(uid);
+        return name || `#${uid}`;
+    }
+
+    // The summon that dealt a hit, named after its monster template when it was seen
+    getHitSummon(event) {
+        if (!event.isSummon) return undefined;
+        return { uid: event.directAttackerUid, name: this.getEntityName(event.directAttackerUid, false) };
+    }
+
+    // The filter is rebuilt when the targetFilter setting is replaced
+    getTargetFilter() {
+        const settings = config.GLOBAL_SETTINGS.targetFilter;
+        if (!this.targetFilter || settings !== this.targetFilterSettings) {
+            this.targetFilter = new TargetFilter(settings);
+            this.targetFilterSettings = settings;
+        }
+        return this.targetFilter;
+    }
+
+    isTargetRecorded(targetUid) {
+        const filter = this.getTargetFilter();
+        if (filter.isEmpty()) return true;
+        return filter.matches({
+            templateId: this.enemyCache.templateId.get(targetUid),
+            name: this.enemyCache.name.get(targetUid),
+            isBoss: targetUid === this.bossUid,
+            isCurrentTarget: targetUid === this.currentTargetUid,
+        });
+    }
+
+    setBossUid(uid) {
+        this.bossUid = uid;
+    }
+
+    onDamage(event) {
+        if (event.isAttackerPlayer && !event.isTargetPlayer && event.attackerUid === this.viewedSessionUid) {
+            this.currentTargetUid = event.targetUid;
+        }
+        if (event.isTargetPlayer) {
+            this.addTakenDamage(event.targetUid, event.value, event.isDead, {
+                sourceName: this.getEntityName(event.attackerUid, event.isAttackerPlayer),
+                skillId: event.skillId,
+                element: event.element,
+                hpLessen: event.hpLessen,
+                isCrit: event.isCrit,
+                isLucky: event.isLucky,
+            });
+        } else if (event.isAttackerPlayer) {
+            this.addDamage(event);
+        }
+    }
+
+    onHeal(event) {
+        if (!event.isTargetPlayer) return;
+        this.addHealing(event);
+    }
+
+    onDeath(event) {
+        if (event.isPlayer) {
+            this.setAttrKV(event.uid, 'hp', 0);
+        } else {
+            this.deleteEnemyData(event.uid);
+        }
+    }
+
+    onAttrUpdate({ uid, isPlayer, attr, value }) {
+        if (!isPlayer) {
+            switch (attr) {
+                case 'name':
+                    this.enemyCache.name.set(uid, value);
+                    break;
+                case 'hp':
+                    this.enemyCache.hp.set(uid, value);
+                    break;
+                case 'max_hp':
+                    this.enemyCache.maxHp.set(uid, value);
+                    break;
+                case 'template_id':
+                    this.enemyCache.templateId.set(uid, value);
+                    break;
+            }
+            return;
+        }
+        switch (attr) {
+            case 'name':
+                this.setName(uid, value);
+                break;
+            case 'profession':
+                this.setProfession(uid, value);
+                break;
+            case 'fight_point':
+                this.setFightPoint(uid, value);
+                break;
+            default:
+                this.setAttrKV(uid, attr, value);
+        }
+    }
+
+    onBuffApply(event) {
+        if (!event.isPlayer || config.IS_PAUSED || !this.isRecordingSession()) return;
+        this.getUser(event.uid).applyBuff(event.buffUuid, event.buffId, event.stacks, event.sourceUid, event.duration);
+    }
+
+    onBuffRemove(event) {
+        if (!event.isPlayer) return;
+        // Removals are applied while paused so the buff does not stay active forever
+        const user = this.users.get(event.uid) || this.departedUsers.get(event.uid);
+        if (user) {
+            user.removeBuff(event.buffUuid);
+        }
+    }
+
+    onEntityDisappear(event) {
+        if (!event.isPlayer) {
+            this.deleteEnemyData(event.uid);
+        } else {
+            // No removals arrive for the buffs of a player out of range
+            const user = this.users.get(event.uid) || this.departedUsers.get(event.uid);
+            if (user) {
+                user.removeAllBuffs();
+            }
+            if (config.GLOBAL_SETTINGS.removePlayersOnLeave && !this.sessions.has(event.uid)) {
+                this.removeUserFromMeter(event.uid);
+            }
+        }
+        socket.emit('entity_left', { uid: event.uid, isPlayer: event.isPlayer, reason: event.reason });
+    }
+
+    // Sets the session whose packets are being processed, uid is 0 while the local player is unknown
+    setActiveSession(uid) {
+        this.activeSessionUid = uid;
+        if (uid && this.sessions.has(uid) && !this.sessions.has(this.viewedSessionUid)) {
+            this.viewedSessionUid = uid;
+            this.emitSessions();
+        }
+    }
+
+    // Registers the game client session of a local player on a server connection
+    registerSession(uid, server) {
+        const existing = this.sessions.get(uid);
+        this.sessions.set(uid, {
+            uid,
+            server,
+            startTime: existing ? existing.startTime : Date.now(),
+            party: existing ? existing.party : null,
+        });
+        if (!this.sessions.has(this.viewedSessionUid)) {
+            this.viewedSessionUid = uid;
+        }
+        this.emitSessions();
+    }
+
+    // Records the party of a session, party is {teamId, leaderUid, memberUids}
+    setSessionParty(uid, party) {
+        const session = this.sessions.get(uid);
+        if (!session) return;
+        session.party = { ...party, memberUids: [...party.memberUids] };
+        this.emitSessions();
+    }
+
+    // Removes a session when its connection closes, unless it already moved to another connection
+    removeSession(uid, server) {
+        const session = this.sessions.get(uid);
+        if (!session || session.server !== server) return;
+        this.sessions.delete(uid);
+        this.emitSessions();
+    }
+
+    // Switches the viewed session and starts a fresh meter for it
+    selectSession(uid) {
+        if (!this.sessions.has(uid)) return false;
+        if (this.viewedSessionUid !== uid) {
+            this.viewedSessionUid = uid;
+            this.clearAll();
+            logger.info(`Now viewing the session of uid ${uid}`);
+        }
+        this.emitSessions();
+        return true;
+    }
+
+    isViewedSession(uid) {
+        return uid === this.viewedSessionUid;
+    }
+
+    isRecordingSession() {
+        return !this.sessions.has(this.viewedSessionUid) || this.activeSessionUid === this.viewedSessionUid;
+    }
+
+    getSessions() {
+        return Array.from(this.sessions.values()).map((session) => {
+            const user = this.users.get(session.uid);
+            const cached = this.userCache.get(String(session.uid)) || {};
+            return {
+                ...session,
+                name: (user && user.name) || cached.name || '',
+                profession: (user && user.profession !== '...' && user.profession) || cached.profession || '',
+                viewed: session.uid === this.viewedSessionUid,
+            };
+        });
+    }
+
+    emitSessions() {
+        socket.emit('sessions', this.getSessions());
     }
 
     async addLog(log) {
         if (config.IS_PAUSED) return;
+        if (!this.isRecordingSession()) return;
 
-        const logDir = path.join('./logs', String(this.startTime));
+        const logDir = config.getDataPath('logs', String(this.startTime));
         const logFile = path.join(logDir, 'fight.log');
         const timestamp = new Date().toISOString();
         const logEntry = `[${timestamp}] ${log}\n`;
@@ -288,21 +621,124 @@ class UserDataManager {
         }
     }
 
-    getUserSkillData(uid) {
+    getUserSkillData(uid, targetUid) {
         const user = this.users.get(uid);
         if (!user) return null;
         return {
             uid: user.uid,
             name: user.name,
             profession: user.profession + (user.subProfession ? `-${user.subProfession}` : ''),
-            skills: user.getSkillSummary(),
+            skills: user.getSkillSummary(targetUid),
+            summons: user.getSummonSummary(targetUid),
+            sources: user.getSourceSummary(targetUid),
             attr: user.attr,
+            target: targetUid,
+        };
+    }
+
+    // Damage per target of the current fight, with each player's share, sorted by damage
+    getAllTargetsData() {
+        const targets = new Map();
+        for (const user of this.getFightUsers().values()) {
+            for (const summary of Object.values(user.getTargetSummary())) {
+                if (!targets.has(summary.uid)) {
+                    targets.set(summary.uid, {
+                        uid: summary.uid,
+                        name: this.enemyCache.name.get(summary.uid) || summary.name,
+                        totalDamage: 0,
+                        absorbed: 0,
+                        totalCount: 0,
+                        players: [],
+                    });
+                }
+                const target = targets.get(summary.uid);
+                target.totalDamage += summary.totalDamage;
+                target.absorbed += summary.absorbed;
+                target.totalCount += summary.totalCount;
+                target.players.push({
+                    uid: user.uid,
+                    name: user.name,
+                    profession: user.profession + (user.subProfession ? `-${user.subProfession}` : ''),
+                    totalDamage: summary.totalDamage,
+                    absorbed: summary.absorbed,
+                    totalCount: summary.totalCount,
+                    critCount: summary.critCount,
+                    luckyCount: summary.luckyCount,
+                    dps: summary.dps,
+                });
+            }
+        }
+        const result = Array.from(targets.values());
+        for (const target of result) {
+            target.players.sort((a, b) => b.totalDamage - a.totalDamage);
+        }
+        return result.sort((a, b) => b.totalDamage - a.totalDamage);
+    }
+
+    // Damage by element of the current fight for each player, the whole party and each target
+    getElementsData(users = this.getFightUsers()) {
+        const party = new ElementProfile();
+        const targets = new Map();
+        const players = [];
+        for (const user of users.values()) {
+            const elements = user.getElementSummary();
+            party.addSummary(elements);
+            players.push({
+                uid: user.uid,
+                name: user.name,
+                profession: user.profession + (user.subProfession ? `-${user.subProfession}` : ''),
+                totalDamage: user.damageStats.stats.total,
+                elements,
+            });
+            for (const summary of Object.values(user.getTargetSummary())) {
+                if (!targets.has(summary.uid)) {
+                    targets.set(summary.uid, {
+                        uid: summary.uid,
+                        name: this.enemyCache.name.get(summary.uid) || summary.name,
+                        totalDamage: 0,
+                        profile: new ElementProfile(),
+                    });
+                }
+                const target = targets.get(summary.uid);
+                target.totalDamage += summary.totalDamage;
+                target.profile.addSummary(user.getElementSummary(summary.uid));
+            }
+        }
+        return {
+            party: party.getSummary(),
+            players: players.sort((a, b) => b.totalDamage - a.totalDamage),
+            targets: Array.from(targets.values(), ({ profile, ...target }) => ({
+                ...target,
+                elements: profile.getSummary(),
+            })).sort((a, b) => b.totalDamage - a.totalDamage),
+        };
+    }
+
+    getUserTakenData(uid) {
+        const user = this.users.get(uid) || this.departedUsers.get(uid);
+        if (!user) return null;
+        return {
+            uid: user.uid,
+            name: user.name,
+            profession: user.profession + (user.subProfession ? `-${user.subProfession}` : ''),
+            taken: user.getTakenSummary(),
+        };
+    }
+
+    getUserBuffData(uid) {
+        const user = this.users.get(uid) || this.departedUsers.get(uid);
+        if (!user) return null;
+        return {
+            uid: user.uid,
+            name: user.name,
+            profession: user.profession + (user.subProfession ? `-${user.subProfession}` : ''),
+            buffs: user.getBuffSummary(),
         };
     }
 
     getAllUsersData() {
         const result = {};
-        for (const [uid, user] of this.users.entries()) {
+        for (const [uid, user] of this.filterPartyUsers(this.users)) {
             result[uid] = user.getSummary();
         }
         return result;
@@ -320,6 +756,7 @@ class UserDataManager {
                 name: this.enemyCache.name.get(id),
                 hp: this.enemyCache.hp.get(id),
                 max_hp: this.enemyCache.maxHp.get(id),
+                template_id: this.enemyCache.templateId.get(id),
             };
         });
         return result;
@@ -329,16 +766,18 @@ class UserDataManager {
         this.enemyCache.name.delete(id);
         this.enemyCache.hp.delete(id);
         this.enemyCache.maxHp.delete(id);
+        this.enemyCache.templateId.delete(id);
     }
 
     refreshEnemyCache() {
         this.enemyCache.name.clear();
         this.enemyCache.hp.clear();
         this.enemyCache.maxHp.clear();
+        this.enemyCache.templateId.clear();
     }
 
     clearAll() {
-        const usersToSave = this.users;
+        const usersToSave = this.getHistoryUsers();
         const saveStartTime = this.startTime;
         
         // Finalize current fight before clearing
@@ -349,6 +788,7 @@ class UserDataManager {
         }
         
         this.users = new Map();
+        this.departedUsers = new Map();
         this.startTime = Date.now();
         this.lastAutoSaveTime = 0;
         this.lastLogTime = 0;
@@ -367,7 +807,7 @@ class UserDataManager {
             const endTime = Date.now();
             const users = usersToSave || this.users;
             const timestamp = startTime || this.startTime;
-            const logDir = path.join('./logs', String(timestamp));
+            const logDir = config.getDataPath('logs', String(timestamp));
             const usersDir = path.join(logDir, 'users');
             const summary = {
                 startTime: timestamp,
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { LinkType, PcapParser } from '../src/models/PcapParser.js';
+
+const fileHeader = () => {
+    const header = Buffer.alloc(24);
+    header.writeUInt32LE(0xa1b2c3d4, 0);
+    header.writeUInt16LE(2, 4);
+    header.writeUInt16LE(4, 6);
+    header.writeUInt32LE(65535, 16);
+    header.writeUInt32LE(LinkType.ETHERNET, 20);
+    return header;
+};
+
+const record = (tsSec, data, capLen = data.length) => {
+    const header = Buffer.alloc(16);
+    header.writeUInt32LE(tsSec, 0);
+    header.writeUInt32LE(500000, 4);
+    header.writeUInt32LE(capLen, 8);
+    header.writeUInt32LE(data.length, 12);
+    return Buffer.concat([header, data]);
+};
+
+describe('PcapParser', () => {
+    it('parses records split across chunks', () => {
+        const parser = new PcapParser();
+        const file = Buffer.concat([
+            fileHeader(),
+            record(10, Buffer.from('frame-one')),
+            record(11, Buffer.from('two')),
+        ]);
+
+        const frames = [...parser.push(file.subarray(0, 30)), ...parser.push(file.subarray(30))];
+
+        assert.deepEqual(
+            frames.map((frame) => [frame.timestamp, frame.linkType, frame.data.toString()]),
+            [
+                [10500, LinkType.ETHERNET, 'frame-one'],
+                [11500, LinkType.ETHERNET, 'two'],
+            ]
+        );
+    });
+
+    it('throws on a record length no capture would write', () => {
+        const parser = new PcapParser();
+
+        assert.throws(
+            () => parser.push(Buffer.concat([fileHeader(), record(10, Buffer.alloc(4), 0x7fffffff)])),
+            /Corrupt pcap record length/
+        );
+    });
+});
@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { findByRanking, isVirtual, parseIpRoute, parseMacRoute, parseProcNetRoute } from '../src/models/RouteTable.js';
+
+const PROC_NET_ROUTE = [
+    'Iface\tDestination\tGateway \tFlags\tRefCnt\tUse\tMetric\tMask\t\tMTU\tWindow\tIRTT',
+    'wlan0\t00000000\t0101A8C0\t0003\t0\t0\t600\t00000000\t0\t0\t0',
+    'eth0\t00000000\t0101A8C0\t0003\t0\t0\t100\t00000000\t0\t0\t0',
+    'eth0\t0001A8C0\t00000000\t0001\t0\t0\t100\t00FFFFFF\t0\t0\t0',
+    '',
+].join('\n');
+
+// OpenVPN with redirect-gateway def1 adds 0.0.0.0/1 and 128.0.0.0/1 instead of replacing the default route
+const PROC_NET_ROUTE_VPN = [
+    'Iface\tDestination\tGateway \tFlags\tRefCnt\tUse\tMetric\tMask\t\tMTU\tWindow\tIRTT',
+    'tun0\t00000000\t0100080A\t0003\t0\t0\t0\t00000080\t0\t0\t0',
+    'tun0\t00000080\t0100080A\t0003\t0\t0\t0\t00000080\t0\t0\t0',
+    'enp3s0\t00000000\t0101A8C0\t0003\t0\t0\t100\t00000000\t0\t0\t0',
+    'docker0\t00000000\t010011AC\t0002\t0\t0\t0\t00000000\t0\t0\t0',
+    '',
+].join('\n');
+
+const IP_ROUTE = [
+    'default via 192.168.1.1 dev wlp2s0 proto dhcp src 192.168.1.23 metric 600',
+    'default via 10.0.0.1 dev enp0s31f6 proto dhcp src 10.0.0.5 metric 100',
+    '10.0.0.0/24 dev enp0s31f6 proto kernel scope link src 10.0.0.5 metric 100',
+    '',
+].join('\n');
+
+const MAC_ROUTE = [
+    '   route to: default',
+    'destination: default',
+    '       mask: default',
+    '    gateway: 192.168.1.1',
+    '  interface: en0',
+    '      flags: <UP,GATEWAY,DONE,STATIC,PRCLONING,GLOBAL>',
+    ' recvpipe  sendpipe  ssthresh  rtt,msec    rttvar  hopcount      mtu     expire',
+    '       0         0         0         0         0         0      1500         0',
+    '',
+].join('\n');
+
+const device = (name, description, ...addresses) => ({
+    name,
+    description,
+    addresses: addresses.map((addr) => ({ addr })),
+});
+
+describe('parseProcNetRoute', () => {
+    it('picks the default route with the lowest metric', () => {
+        assert.equal(parseProcNetRoute(PROC_NET_ROUTE), 'eth0');
+    });
+
+    it('ignores split VPN routes and routes that are down', () => {
+        assert.equal(parseProcNetRoute(PROC_NET_ROUTE_VPN), 'enp3s0');
+    });
+
+    it('returns undefined without a default route', () => {
+        assert.equal(parseProcNetRoute(PROC_NET_ROUTE.split('\n').slice(0, 1).join('\n')), undefined);
+        assert.equal(parseProcNetRoute(''), undefined);
+    });
+});
+
+describe('parseIpRoute', () => {
+    it('picks the default route with the lowest metric', () => {
+        assert.deepEqual(parseIpRoute(IP_ROUTE), { iface: 'enp0s31f6', src: '10.0.0.5' });
+    });
+
+    it('treats a missing metric as 0 and a missing src as unknown', () => {
+        const stdout = 'default via 192.168.1.1 dev eth0 metric 100\ndefault dev wg0 scope link\n';
+        assert.deepEqual(parseIpRoute(stdout), { iface: 'wg0', src: undefined });
+    });
+
+    it('returns undefined without a default route', () => {
+        assert.equal(parseIpRoute('10.0.0.0/24 dev eth0 proto kernel scope link src 10.0.0.5\n'), undefined);
+        assert.equal(parseIpRoute(''), undefined);
+    });
+});
+
+describe('parseMacRoute', () => {
+    it('reads the interface of `route -n get default`', () => {
+        assert.equal(parseMacRoute(MAC_ROUTE), 'en0');
+    });
+
+    it('returns undefined when there is no default route', () => {
+        assert.equal(parseMacRoute('route: writing to routing socket: not in table\n'), undefined);
+    });
+});
+
+describe('isVirtual', () => {
+    it('matches virtual adapter names case-insensitively', () => {
+        assert.equal(isVirtual('TAP-Windows Adapter V9'), true);
+        assert.equal(isVirtual('VMware Virtual Ethernet Adapter for VMnet8'), true);
+        assert.equal(isVirtual('docker0'), true);
+        assert.equal(isVirtual('Intel(R) Ethernet Connection (7) I219-V'), false);
+    });
+});
+
+describe('findByRanking', () => {
+    it('prefers the physical adapter over VPN and virtual adapters', () => {
+        const devices = {
+            0: device('\\Device\\NPF_Loopback', 'Adapter for loopback traffic capture', '127.0.0.1', '::1'),
+            1: device('\\Device\\NPF_{A1}', 'ZeroTier Virtual Port', '10.147.17.5'),
+            2: device('\\Device\\NPF_{B2}', 'TAP-Windows Adapter V9', '10.8.0.2'),
+            3: device(
+                '\\Device\\NPF_{C3}',
+                'Intel(R) Ethernet Connection (7) I219-V',
+                'fe80::1c2b:3d4e',
+                '192.168.1.10'
+            ),
+        };
+        assert.equal(findByRanking(devices), 3);
+    });
+
+    it('prefers an adapter with IPv4 over an IPv6-only one', () => {
+        const devices = {
+            0: device('eth1', '', '2001:db8::10'),
+            1: device('eth0', '', '192.168.1.10'),
+            2: device('lo', '', '127.0.0.1'),
+        };
+        assert.equal(findByRanking(devices), 1);
+    });
+
+    it('falls back to a virtual adapter when it is the only routable one', () => {
+        const devices = {
+            0: device('lo', '', '127.0.0.1'),
+            1: device('utun3', '', '10.8.0.2'),
+            2: device('en1', '', 'fe80::1'),
+        };
+        assert.equal(findByRanking(devices), 1);
+    });
+
+    it('returns undefined when no adapter is routable', () => {
+        assert.equal(findByRanking({ 0: device('lo', '', '127.0.0.1'), 1: device('en1', '') }), undefined);
+    });
+});
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    STREAM_RECORDING_HEADER_SIZE,
+    STREAM_RECORDING_MAGIC,
+    STREAM_RECORDING_VERSION,
+    StreamRecordingParser,
+} from '../src/models/StreamRecordingParser.js';
+
+const START_TIME = 1700000000000;
+
+const fileHeader = (version) => {
+    const header = Buffer.alloc(STREAM_RECORDING_HEADER_SIZE);
+    STREAM_RECORDING_MAGIC.copy(header, 0);
+    header.writeUInt16BE(version, 8);
+    header.writeBigUInt64BE(BigInt(START_TIME), 10);
+    return header;
+};
+
+// Written the same way as StreamRecorder.record
+const record = (offset, flowKey, payload) => {
+    const key = Buffer.from(flowKey);
+    const header = Buffer.alloc(10);
+    header.writeUInt32BE(offset, 0);
+    header.writeUInt32BE(payload.length, 4);
+    header.writeUInt16BE(key.length, 8);
+    return Buffer.concat([header, key, payload]);
+};
+
+const v1Record = (offset, payload) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(offset, 0);
+    header.writeUInt32BE(payload.length, 4);
+    return Buffer.concat([header, payload]);
+};
+
+describe('StreamRecordingParser', () => {
+    it('reads the flow key of every record', () => {
+        const file = Buffer.concat([
+            fileHeader(STREAM_RECORDING_VERSION),
+            record(0, '1.2.3.4:5000 -> 10.0.0.2:50000', Buffer.from('first')),
+            record(25, '5.6.7.8:5000 -> 10.0.0.2:50001', Buffer.from('second')),
+        ]);
+        assert.deepEqual(new StreamRecordingParser().push(file), [
+            { timestamp: START_TIME, flowKey: '1.2.3.4:5000 -> 10.0.0.2:50000', payload: Buffer.from('first') },
+            { timestamp: START_TIME + 25, flowKey: '5.6.7.8:5000 -> 10.0.0.2:50001', payload: Buffer.from('second') },
+        ]);
+    });
+
+    it('waits for records split across chunks', () => {
+        const file = Buffer.concat([fileHeader(STREAM_RECORDING_VERSION), record(5, 'flow', Buffer.from('payload'))]);
+        const parser = new StreamRecordingParser();
+        assert.deepEqual(parser.push(file.subarray(0, 10)), []);
+        assert.deepEqual(parser.push(file.subarray(10, 30)), []);
+        assert.deepEqual(parser.push(file.subarray(30)), [
+            { timestamp: START_TIME + 5, flowKey: 'flow', payload: Buffer.from('payload') },
+        ]);
+    });
+
+    it('still reads version 1 recordings, which have no flow key', () => {
+        const file = Buffer.concat([fileHeader(1), v1Record(3, Buffer.from('old'))]);
+        assert.deepEqual(new StreamRecordingParser().push(file), [
+            { timestamp: START_TIME + 3, flowKey: null, payload: Buffer.from('old') },
+        ]);
+    });
+
+    it('rejects other files and versions', () => {
+        assert.throws(() => new StreamRecordingParser().push(Buffer.alloc(STREAM_RECORDING_HEADER_SIZE)), /Not a/);
+        assert.throws(() => new StreamRecordingParser().push(fileHeader(99)), /Unsupported stream recording version/);
+    });
+});
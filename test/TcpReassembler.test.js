@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { TcpReassembler, seqDiff } from '../src/models/TcpReassembler.js';
+
+// A game frame: 4 byte total length, 2 byte message type, then the body
+const frame = (type, body) => {
+    const header = Buffer.alloc(6);
+    header.writeUInt32BE(6 + body.length);
+    header.writeUInt16BE(type, 4);
+    return Buffer.concat([header, body]);
+};
+
+const FRAME_A = frame(2, Buffer.from('first frame'));
+const FRAME_B = frame(6, Buffer.from('second'));
+const FRAME_C = frame(0x8002, Buffer.from('third, zstd flag set'));
+
+// Records the handler calls of a reassembler
+const createReassembler = (nextSeq) => {
+    const calls = { gap: [], invalid: [], resync: [] };
+    const reassembler = new TcpReassembler(nextSeq, {
+        onGap: (bytes) => calls.gap.push(bytes),
+        onInvalidFrame: (size) => calls.invalid.push(size),
+        onResync: (bytes) => calls.resync.push(bytes),
+    });
+    return { reassembler, calls };
+};
+
+describe('seqDiff', () => {
+    it('returns the signed distance between sequence numbers', () => {
+        assert.equal(seqDiff(10, 3), 7);
+        assert.equal(seqDiff(3, 10), -7);
+        assert.equal(seqDiff(5, 5), 0);
+    });
+
+    it('stays correct across the 32-bit wraparound', () => {
+        assert.equal(seqDiff(5, 0xfffffffe), 7);
+        assert.equal(seqDiff(0xfffffffe, 5), -7);
+        assert.equal(seqDiff(0, 0xffffffff), 1);
+    });
+});
+
+describe('TcpReassembler', () => {
+    it('returns frames split across segments', () => {
+        const { reassembler } = createReassembler(1000);
+        assert.deepEqual(reassembler.push(1000, FRAME_A.subarray(0, 4), 0), []);
+        assert.deepEqual(reassembler.push(1004, Buffer.concat([FRAME_A.subarray(4), FRAME_B]), 0), [FRAME_A, FRAME_B]);
+        assert.equal(reassembler.nextSeq, 1000 + FRAME_A.length + FRAME_B.length);
+    });
+
+    it('reassembles across the sequence number wraparound', () => {
+        const start = 0xfffffffc;
+        const { reassembler } = createReassembler(start);
+        assert.deepEqual(reassembler.push(start, FRAME_A.subarray(0, 8), 0), []);
+        assert.deepEqual(reassembler.push(4, FRAME_A.subarray(8), 0), [FRAME_A]);
+        assert.equal(reassembler.nextSeq, FRAME_A.length - 4);
+    });
+
+    it('waits for segments that arrive out of order', () => {
+        const { reassembler, calls } = createReassembler(0);
+        assert.deepEqual(reassembler.push(FRAME_A.length, FRAME_B, 0), []);
+        assert.deepEqual(reassembler.push(0, FRAME_A, 10), [FRAME_A, FRAME_B]);
+        assert.deepEqual(calls.gap, []);
+    });
+
+    it('drops retransmitted segments', () => {
+        const { reassembler } = createReassembler(0);
+        assert.deepEqual(reassembler.push(0, FRAME_A, 0), [FRAME_A]);
+        assert.deepEqual(reassembler.push(0, FRAME_A, 10), []);
+        assert.deepEqual(reassembler.push(FRAME_A.length, FRAME_B, 20), [FRAME_B]);
+        assert.deepEqual(reassembler.push(FRAME_A.length, FRAME_B, 30), []);
+    });
+
+    it('trims segments that overlap data already received', () => {
+        const stream = Buffer.concat([FRAME_A, FRAME_B]);
+        const { reassembler } = createReassembler(0);
+        assert.deepEqual(reassembler.push(0, stream.subarray(0, 10), 0), []);
+        // Retransmission with more data, covering the first 10 bytes again
+        assert.deepEqual(reassembler.push(4, stream.subarray(4, 20), 0), [FRAME_A]);
+        assert.deepEqual(reassembler.push(16, stream.subarray(16), 0), [FRAME_B]);
+    });
+
+    it('keeps the longer of two queued segments with the same sequence number', () => {
+        const stream = Buffer.concat([FRAME_A, FRAME_B]);
+        const { reassembler } = createReassembler(0);
+        assert.deepEqual(reassembler.push(4, stream.subarray(4, 8), 0), []);
+        assert.deepEqual(reassembler.push(4, stream.subarray(4), 0), []);
+        assert.deepEqual(reassembler.push(0, stream.subarray(0, 4), 0), [FRAME_A, FRAME_B]);
+    });
+
+    it('skips a hole that is not filled within 3 seconds', () => {
+        const { reassembler, calls } = createReassembler(0);
+        assert.deepEqual(reassembler.push(FRAME_A.length, FRAME_B, 1000), []);
+        assert.deepEqual(reassembler.push(FRAME_A.length + FRAME_B.length, Buffer.alloc(0), 4000), []);
+        assert.deepEqual(calls.gap, []);
+
+        assert.deepEqual(reassembler.push(FRAME_A.length + FRAME_B.length, FRAME_C, 4001), [FRAME_B, FRAME_C]);
+        assert.deepEqual(calls.gap, [FRAME_A.length]);
+        assert.deepEqual(calls.resync, []);
+        // The late retransmission of the skipped data is ignored
+        assert.deepEqual(reassembler.push(0, FRAME_A, 4002), []);
+    });
+
+    it('skips a hole right away once more than 2 MB is queued behind it', () => {
+        const big = frame(2, Buffer.alloc(800 * 1024, 0x11));
+        const { reassembler, calls } = createReassembler(0);
+        let seq = 100;
+        assert.deepEqual(reassembler.push(seq, big, 0), []);
+        seq += big.length;
+        assert.deepEqual(reassembler.push(seq, big, 0), []);
+        seq += big.length;
+        assert.deepEqual(calls.gap, []);
+
+        const frames = reassembler.push(seq, big, 0);
+        assert.deepEqual(calls.gap, [100]);
+        assert.equal(frames.length, 3);
+        assert.ok(frames.every((f) => f.equals(big)));
+    });
+
+    it('resyncs on the next valid frame header after a skipped hole', () => {
+        // The hole cut FRAME_A in half, its tail is not a frame header
+        const tail = Buffer.alloc(9, 0xff);
+        const { reassembler, calls } = createReassembler(0);
+        assert.deepEqual(reassembler.push(20, Buffer.concat([tail, FRAME_B, FRAME_C]), 1000), []);
+        assert.deepEqual(reassembler.push(0, Buffer.alloc(0), 4001), [FRAME_B, FRAME_C]);
+        assert.deepEqual(calls.gap, [20]);
+        assert.deepEqual(calls.resync, [tail.length]);
+    });
+
+    it('does not resync on a header whose following header is invalid', () => {
+        // Looks like an 8 byte frame of type 1, but what follows it is not a frame
+        const fake = Buffer.from([0, 0, 0, 8, 0, 1, 0xff, 0xff, 0xff, 0xff]);
+        const { reassembler, calls } = createReassembler(0);
+        reassembler.push(20, Buffer.concat([fake, FRAME_B]), 1000);
+        assert.deepEqual(reassembler.push(0, Buffer.alloc(0), 4001), [FRAME_B]);
+        assert.deepEqual(calls.resync, [fake.length]);
+    });
+
+    it('resyncs after a corrupt frame length', () => {
+        const garbage = Buffer.alloc(7, 0xff);
+        const { reassembler, calls } = createReassembler(0);
+        assert.deepEqual(reassembler.push(0, Buffer.concat([garbage, FRAME_A]), 0), [FRAME_A]);
+        assert.deepEqual(calls.invalid, [0xffffffff]);
+        assert.deepEqual(calls.resync, [garbage.length]);
+    });
+
+    it('keeps the last bytes while resyncing, a header may be split across segments', () => {
+        const garbage = Buffer.alloc(7, 0xff);
+        const { reassembler, calls } = createReassembler(0);
+        const stream = Buffer.concat([garbage, FRAME_A]);
+        assert.deepEqual(reassembler.push(0, stream.subarray(0, 10), 0), []);
+        assert.deepEqual(reassembler.push(10, stream.subarray(10), 0), [FRAME_A]);
+        assert.deepEqual(calls.resync, [5, 2]);
+    });
+});